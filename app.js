@@ -1,13 +1,38 @@
 // Dinner Club Map App
 
 let tripsData = [];
-let visitedCountries = new Set();
+let plannedTrips = []; // Future-dated or `status: planned` trips, soonest first
+let sourceTrips = []; // Trips as read from trips.yaml, before drafts/validation
+let tripsFileExtras = {}; // Other top-level trips.yaml keys (skip, wishlist)
+let discoverSkip = new Set(); // Country ids discover never suggests
+let discoverWishlist = new Set(); // Country ids discover favours
+let tripDrafts = { edits: {}, added: [] }; // Local edits, see loadDrafts()
+let visitedCountries = new Set(); // Feature ids, e.g. "ITA"
 let countryNameToId = {}; // "italy" -> "ITA"
 let countryIdToName = {}; // "ITA" -> "Italy"
+let countryNamesFromMap = false; // Or from the ISO codes, see loadMapData()
+let dataProblems = []; // Problems found while loading/validating trips.yaml
+let loadProblems = []; // Problems reading trips.yaml itself
+let selectedMember = null; // Map filter: only colour this member's dinners
+let timelineDate = null; // Map filter: only colour dinners up to this date
+let colourMode = "visited"; // Key of COLOUR_MODES
+let projectionMode = "naturalEarth"; // Key of PROJECTIONS
+let labelMode = "names"; // Key of LABEL_MODES
+let mapRenderer = "svg"; // Key of RENDERERS, see loadRendererSetting()
+let liftedCountries = { hover: null, focus: null }; // Country ids
+let globeRotation = [0, -30, 0]; // Globe's [λ, φ, γ], kept across redraws
+let sidebarState = { countryId: null, tripDate: null }; // For the URL route
+let clubs = []; // From data/clubs.yaml, see loadClubs()
+let currentClub = null; // The club whose dinners are shown
+let clubProblems = []; // Problems reading data/clubs.yaml
+let compareClub = null; // { club, trips, visited, problems } in compare mode
 
 // Loaded from JSON files
 let countryToContinent = {};
 let alpha3to2 = {};
+let alpha2to3 = {}; // "IT" -> "ITA"
+let countryAliases = {}; // "usa" -> "USA"
+let cuisineGroups = {}; // "levantine" -> { name: "Levantine", members: ["LBN", ...] }
 
 // Constants
 const MAX_ZOOM = 12;
@@ -16,12 +41,159 @@ const PATTERN_SCALE_DIVISOR = 160;
 const SIDEBAR_WIDTH = 400;
 const MOBILE_BREAKPOINT = 600;
 const ZOOM_DURATION = 750;
+const TIMELINE_PLAY_DURATION = 10000;
+const TIMELINE_FRAME = 40;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DRAFTS_STORAGE_KEY = "dinner-club-map:drafts";
+const POSTER_WIDTH = 1600;
+const POSTER_HEIGHT = 1000;
+const RECENT_ROLLS_STORAGE_KEY = "dinner-club-map:recent-rolls";
+const RECENT_ROLL_LIMIT = 10;
+const WISHLIST_WEIGHT = 3;
+
+// Column names recognised when importing spreadsheets (lowercase)
+const IMPORT_COLUMNS = {
+  country: ["country", "countries", "cuisine", "nation"],
+  date: ["date", "visited", "visit date", "day", "published"],
+  restaurant: ["restaurant", "name", "title", "place", "business name"],
+  maps_url: ["maps_url", "url", "link", "google maps url", "maps", "map"],
+  notes: ["notes", "note", "comment", "comments"],
+  attendees: ["attendees", "who", "people"],
+  absent: ["absent", "apologies"],
+  rating: ["rating", "score", "stars"],
+  dishes: ["dishes", "dish", "ordered"],
+  cost_per_head: ["cost_per_head", "cost per head", "cost", "price"],
+  status: ["status"],
+};
+const LIST_IMPORT_FIELDS = new Set(["attendees", "absent", "dishes"]);
 const PAN_BOUNDS = { xMin: -0.05, xMax: 1.05, yMin: -0.05, yMax: 1.05 };
-const TINY_TERRITORIES = new Set(["BMU"]); // Sorry Bermuda 🇧🇲
+const MARKER_AREA_SHARE = 2.3e-5; // Countries smaller than this share of the Earth get a marker
+const MARKER_RADIUS = 5; // On-screen px
+const MARKER_HIT_RADIUS = 12; // On-screen px, a 24px tap target
+const RENDERER_STORAGE_KEY = "dinner-club-map:renderer";
+const LABEL_FONT_SIZE = 11; // px, as in .country-label
+const LABEL_MIN_AREA = 1500; // On-screen px² a country needs to get a label
+const LABEL_POINT_ZOOM = 6; // Zoom at which countries drawn as a point get one
+const LABEL_PADDING = 3; // px kept clear around each label
+// Stats trend charts' viewBox, as wide as the modal's content
+const TREND_CHART = {
+  width: 356,
+  height: 140,
+  margin: { top: 14, right: 8, bottom: 20, left: 28 },
+};
+const REQUIRED_TRIP_FIELDS = ["country", "date", "restaurant"];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SLASH_DATE_PATTERN = /^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/;
+const RATING_RANGE = [1, 5];
+const TRIP_STATUSES = ["visited", "planned"];
+
+// Map colour modes. Each shades visited countries from one value per country
+// (`value` gets the country's dinners); "visited" is the plain binary look
+const COLOUR_MODES = {
+  visited: { label: "Visited" },
+  visits: {
+    label: "Number of visits",
+    value: (trips) => trips.length,
+    domain: ([, max]) => [1, Math.max(max, 2)],
+    format: (count) => `${count} visit${count === 1 ? "" : "s"}`,
+  },
+  recency: {
+    label: "Last visit",
+    value: (trips) => dateToDay(d3.max(trips, (trip) => trip.date)),
+    domain: (extent) => extent,
+    format: (day) => formatDate(dayToDate(day)),
+  },
+  rating: {
+    label: "Average rating",
+    value: (trips) => d3.mean(trips, (trip) => trip.averageRating) ?? null,
+    domain: () => RATING_RANGE,
+    format: (rating) => `${formatRating(rating)}★`,
+    missing: "Not rated",
+  },
+};
+
+// Map projections. The globe is fitted to the whole sphere and turned by
+// dragging instead of panning
+const PROJECTIONS = {
+  naturalEarth: {
+    label: "Natural Earth",
+    create: () => d3.geoNaturalEarth1(),
+  },
+  pacific: {
+    label: "Pacific",
+    create: () => d3.geoNaturalEarth1().rotate([-150, 0]),
+  },
+  globe: {
+    label: "Globe",
+    create: () => d3.geoOrthographic().rotate(globeRotation),
+    globe: true,
+  },
+};
+
+function isGlobe() {
+  return Boolean(PROJECTIONS[projectionMode].globe);
+}
+
+// Country labels over the map
+const LABEL_MODES = {
+  names: { label: "Names" },
+  flags: { label: "Names and flags", flags: true },
+  none: { label: "No labels" },
+};
+
+// Simplified copies of the map for lower zooms: each keeps `share` of the
+// points (the least important go first) and is used up to `maxZoom`
+const DETAIL_LEVELS = [
+  { maxZoom: 2, share: 0.2 },
+  { maxZoom: 5, share: 0.5 },
+  { maxZoom: Infinity, share: 1 },
+];
+
+// How the map is drawn. Canvas redraws the whole map each frame, which is
+// cheaper on slow phones than transforming hundreds of SVG paths
+const RENDERERS = {
+  svg: { label: "Sharp (SVG)" },
+  canvas: { label: "Fast (canvas)" },
+};
+
+// Club settings, overridden by data/club.yaml (see loadClubConfig())
+const DEFAULT_CLUB_CONFIG = {
+  name: "Dinner Club Map",
+  city: "London, UK",
+  locale: "en-US",
+  currency: "GBP",
+  weekStart: "monday",
+  startView: {
+    projection: "naturalEarth",
+    colourMode: "visited",
+    labels: "names",
+    center: null, // [longitude, latitude]
+    zoom: 1,
+  },
+  colours: {},
+};
+let clubConfig = DEFAULT_CLUB_CONFIG;
+
+// club.yaml `colours` keys and the CSS variables they set
+const CLUB_COLOURS = {
+  ocean: "--ocean-color",
+  country: "--country-default",
+  visited: "--visited-color",
+  planned: "--planned-color",
+  accent: "--accent-color",
+};
+
+// First day of the week, for the calendar's week view
+const WEEK_STARTS = {
+  sunday: d3.utcSunday,
+  monday: d3.utcMonday,
+  saturday: d3.utcSaturday,
+};
 
 // Calculate zoom configuration for given dimensions
 function getZoomConfig(width, height) {
-  const isPortrait = height > width;
+  // The globe is round, so it already fits a portrait screen
+  const isPortrait = height > width && !isGlobe();
   const minZoom = isPortrait ? PORTRAIT_ZOOM_FACTOR * (height / width) : 1;
   return {
     isPortrait,
@@ -30,20 +202,30 @@ function getZoomConfig(width, height) {
       [width * PAN_BOUNDS.xMin, height * PAN_BOUNDS.yMin],
       [width * PAN_BOUNDS.xMax, height * PAN_BOUNDS.yMax],
     ],
-    getInitialTransform: () =>
-      isPortrait
-        ? {
-            scale: minZoom,
-            x: -(width * minZoom - width) / 2,
-            y: -(height * minZoom - height) / 2,
-          }
-        : null,
   };
 }
 
+// The view the map opens on: centred on club.yaml's start view, zoomed in
+// at least far enough to fill a portrait screen
+function getStartTransform(zoomConfig) {
+  const { width, height, path } = mapState;
+  const { center, zoom } = clubConfig.startView;
+  const k = Math.max(zoom, zoomConfig.minZoom);
+  // Null on the far side of the globe
+  const [x, y] = (center && path.projection()(center)) || [
+    width / 2,
+    height / 2,
+  ];
+  return d3.zoomIdentity
+    .translate(width / 2 - x * k, height / 2 - y * k)
+    .scale(k);
+}
+
 // Create hatch pattern for selected unvisited countries
 function createHatchPattern(defs, width) {
   const unit = width / PATTERN_SCALE_DIVISOR;
+  const colours = getMapColours();
+  defs.select("#visited-hatch-active").remove();
   const pattern = defs
     .append("pattern")
     .attr("id", "visited-hatch-active")
@@ -55,52 +237,519 @@ function createHatchPattern(defs, width) {
     .append("rect")
     .attr("width", unit)
     .attr("height", unit)
-    .attr("fill", "#f4ead5");
+    .attr("fill", colours.country);
   pattern
     .append("line")
     .attr("x1", 0)
     .attr("y1", 0)
     .attr("x2", 0)
     .attr("y2", unit)
-    .attr("stroke", "#c4956a")
+    .attr("stroke", colours.visited)
     .attr("stroke-width", unit / 1.7);
 }
 
 // Create projection and path generator
 function createProjection(width, height, geojson) {
-  const projection = d3.geoNaturalEarth1().fitExtent(
+  const { create, globe } = PROJECTIONS[projectionMode];
+  const projection = create().fitExtent(
     [
       [10, 10],
       [width - 10, height - 10],
     ],
-    geojson,
+    globe ? { type: "Sphere" } : geojson,
   );
   return d3.geoPath().projection(projection);
 }
 
-// Draw country shadows and shapes
+// Draw country shapes, at the current level of detail
+// Microstates and tiny territories (too small to hit, or only a point in the
+// map data) get a marker in a layer above the rest, see updateMarkers()
 function drawCountries(g, path, features) {
-  // Shadow layer (revealed on hover via CSS lift)
-  g.selectAll("path.country-shadow")
-    .data(features)
-    .enter()
-    .append("path")
-    .attr("class", "country-shadow")
+  const shapes = features.filter((d) => !isTinyCountry(d));
+  const tiny = features.filter(isTinyCountry);
+  // Ocean; only visible on the globe, where the map has an edge
+  g.append("path")
+    .attr("class", "globe-sphere")
+    .datum({ type: "Sphere" })
     .attr("d", path);
 
+  const countryLayer = g.append("g").attr("class", "country-layer");
+  const markerLayer = g.append("g").attr("class", "marker-layer");
+
+  // Shadows for lifted countries, see updateShadows()
+  countryLayer.append("g").attr("class", "shadow-layer");
+
   // Country shapes
-  g.selectAll("path.country")
+  appendCountries(countryLayer, shapes).attr("d", (d) => path(getOutline(d)));
+
+  // Markers, behind a larger invisible tap target that forwards clicks
+  markerLayer
+    .selectAll("circle.marker-target")
+    .data(tiny)
+    .enter()
+    .append("circle")
+    .attr("class", "marker-target")
+    .on("click", (event, d) => {
+      markerLayer
+        .select(`path.country[data-id="${d.id}"]`)
+        .node()
+        .dispatchEvent(new MouseEvent("click", { bubbles: true }));
+    });
+  appendCountries(markerLayer, tiny).classed("marker", true);
+  updateMarkers(g, path, 1);
+
+  // One country is in the tab order at a time; arrow keys move between them
+  const lastTrip = d3.greatest(tripsData, (trip) => trip.date);
+  const start =
+    features.find((f) => lastTrip?.countryIds.includes(f.id)) || features[0];
+  if (start) setRovingCountry(start.id);
+}
+
+// Countries drawn as a marker. Spherical area, so the split doesn't change
+// with the projection (on the globe, countries round the back have no
+// projected area at all)
+function isTinyCountry(d) {
+  return d3.geoArea(d) / (4 * Math.PI) < MARKER_AREA_SHARE;
+}
+
+// Country paths with their visited state, labels and handlers
+function appendCountries(layer, features) {
+  return layer
+    .selectAll("path.country")
     .data(features)
     .enter()
     .append("path")
     .attr("class", (d) => {
-      const name = d.properties.name?.toLowerCase();
-      return `country${visitedCountries.has(name) ? " visited" : ""}`;
+      const visited = getColouredCountries().has(d.id);
+      const planned = getPlannedCountries().has(d.id);
+      return `country${visited ? " visited" : ""}${planned ? " planned" : ""}`;
     })
-    .attr("d", path)
     .attr("data-id", (d) => d.id)
     .attr("data-name", (d) => d.properties.name)
-    .on("click", handleCountryClick);
+    .attr("role", "button")
+    .attr("tabindex", -1)
+    .call(shadeCountries)
+    .call(labelCountries)
+    .on("click", handleCountryClick)
+    .on("keydown", handleCountryKeydown)
+    .on("mouseenter", (event, d) => setLiftedCountry("hover", d.id))
+    .on("mouseleave", () => setLiftedCountry("hover", null))
+    .on("focus", (event, d) => setLiftedCountry("focus", d.id))
+    .on("blur", () => setLiftedCountry("focus", null));
+}
+
+// A feature's shape at the current level of detail
+function getOutline(d) {
+  return mapState.detail?.outlines.get(d.id) || d;
+}
+
+// Hovered/focused countries lift in CSS (the open one is .active), which
+// reveals a shadow. Only these get one, rather than a copy of every country
+function setLiftedCountry(reason, countryId) {
+  liftedCountries[reason] = countryId;
+  updateShadows();
+  if (mapRenderer === "canvas") scheduleCanvasRender();
+}
+
+function getLiftedCountryIds() {
+  const active = mapState.g.select("path.country.active");
+  return new Set(
+    [
+      liftedCountries.hover,
+      liftedCountries.focus,
+      active.empty() ? null : active.datum().id,
+    ].filter(Boolean),
+  );
+}
+
+function updateShadows() {
+  const { g, path } = mapState;
+  if (!g) return;
+  const ids = getLiftedCountryIds();
+  const lifted = g
+    .selectAll(".country-layer path.country")
+    .filter((d) => ids.has(d.id))
+    .data();
+  g.select(".shadow-layer")
+    .selectAll("path.country-shadow")
+    .data(mapRenderer === "svg" ? lifted : [], (d) => d.id)
+    .join("path")
+    .attr("class", "country-shadow")
+    .attr("d", (d) => path(getOutline(d)));
+}
+
+// Mark the open country on the map, or none
+function setActiveCountry(countryId) {
+  const countries = d3.selectAll("path.country");
+  countries.classed("active", (d) => d.id === countryId);
+  countries.filter((d) => d.id === countryId).raise();
+  updateShadows();
+  if (mapRenderer === "canvas") scheduleCanvasRender();
+}
+
+// Keep markers and their tap targets the same size on screen at zoom `k`,
+// and show the real shape instead once it's bigger than the marker
+function updateMarkers(g, path, k) {
+  const markerPath = d3
+    .geoPath(path.projection())
+    .pointRadius(MARKER_RADIUS / k);
+  const showShape = (d) => showsMarkerShape(path, d, k);
+  // Round the back of the globe a point has no centroid, and nothing to hit
+  const hidden = (d) =>
+    showShape(d) || isNaN(path.centroid(getMarkerPoint(d))[0]);
+
+  g.selectAll("path.country.marker").attr("d", (d) =>
+    showShape(d) ? path(d) : markerPath(getMarkerPoint(d)),
+  );
+  g.selectAll("circle.marker-target")
+    .attr("cx", (d) => path.centroid(getMarkerPoint(d))[0])
+    .attr("cy", (d) => path.centroid(getMarkerPoint(d))[1])
+    .attr("r", MARKER_HIT_RADIUS / k)
+    .attr("display", (d) => (hidden(d) ? "none" : null));
+}
+
+// Where a tiny country's marker goes: its point, or the middle of its shape
+function getMarkerPoint(d) {
+  return d.geometry.type === "Point"
+    ? d.geometry
+    : { type: "Point", coordinates: d3.geoCentroid(d) };
+}
+
+// Whether a tiny country is bigger than its marker at zoom `k`
+function showsMarkerShape(path, d, k) {
+  return path.area(d) * k * k >= Math.PI * MARKER_RADIUS ** 2;
+}
+
+// Country labels, in a layer outside the zoomed group so the text stays the
+// same size on screen. Which ones show is decided in updateLabels()
+function drawLabels(layer, features) {
+  layer
+    .attr("aria-hidden", "true")
+    .selectAll("text.country-label")
+    .data(
+      features.map((feature) => ({
+        feature,
+        anchor: getLabelAnchor(feature),
+        x: 0,
+        y: 0,
+        area: 0,
+        width: 0,
+      })),
+    )
+    .join("text")
+    .attr("class", "country-label")
+    .attr("data-id", (d) => d.feature.id);
+  renderLabelText();
+}
+
+// Where a country's label goes: the centroid of its largest part, so it
+// isn't pulled out to sea by far-flung islands
+function getLabelAnchor(feature) {
+  const { geometry } = feature;
+  if (geometry.type !== "MultiPolygon") return geometry;
+  return {
+    type: "Polygon",
+    coordinates: d3.greatest(geometry.coordinates, (coordinates) =>
+      d3.geoArea({ type: "Polygon", coordinates }),
+    ),
+  };
+}
+
+// Label text for the current label mode, with an estimate of its width
+// (measuring each label would mean a layout on every zoom)
+function renderLabelText() {
+  const { flags } = LABEL_MODES[labelMode];
+  mapState.svg.selectAll("text.country-label").text((d) => {
+    const flag = flags ? getFlag(d.feature.id) : "";
+    const text = flag
+      ? `${flag} ${d.feature.properties.name}`
+      : d.feature.properties.name;
+    d.width = LABEL_FONT_SIZE * (0.55 * text.length + (flag ? 0.9 : 0));
+    return text;
+  });
+  projectLabels();
+}
+
+// Map coordinates and size of each label's country, after the projection
+// changes
+function projectLabels() {
+  const { svg, path } = mapState;
+  svg.selectAll("text.country-label").each((d) => {
+    [d.x, d.y] = path.centroid(d.anchor);
+    d.area = path.area(d.feature);
+  });
+  updateLabels(d3.zoomTransform(svg.node()));
+}
+
+// Show labels for the countries big enough at this zoom, biggest first,
+// skipping any that would overlap one already placed. The open country is
+// always labelled
+function updateLabels(transform) {
+  const { svg, width, height } = mapState;
+  const labels = svg.selectAll("text.country-label");
+  const { k } = transform;
+  const fits = (d) =>
+    d.feature.id === sidebarState.countryId ||
+    (d.area > 0 ? d.area * k * k >= LABEL_MIN_AREA : k >= LABEL_POINT_ZOOM);
+  // Countries drawn as a marker get their label underneath it
+  const markerArea = Math.PI * MARKER_RADIUS ** 2;
+  const offset = (d) =>
+    d.area * k * k < markerArea ? MARKER_RADIUS + LABEL_FONT_SIZE / 2 + 2 : 0;
+
+  const placed = [];
+  const shown = new Set();
+  if (labelMode !== "none") {
+    const candidates = d3.sort(
+      labels.data().filter((d) => fits(d) && !isNaN(d.x)),
+      (d) => d.feature.id !== sidebarState.countryId,
+      (d) => -d.area,
+    );
+    candidates.forEach((d) => {
+      const x = transform.applyX(d.x);
+      const y = transform.applyY(d.y) + offset(d);
+      if (x < 0 || x > width || y < 0 || y > height) return;
+      const box = [
+        x - d.width / 2 - LABEL_PADDING,
+        y - LABEL_FONT_SIZE / 2 - LABEL_PADDING,
+        x + d.width / 2 + LABEL_PADDING,
+        y + LABEL_FONT_SIZE / 2 + LABEL_PADDING,
+      ];
+      const overlaps = placed.some(
+        (other) =>
+          box[0] < other[2] &&
+          box[2] > other[0] &&
+          box[1] < other[3] &&
+          box[3] > other[1],
+      );
+      if (overlaps) return;
+      placed.push(box);
+      shown.add(d);
+    });
+  }
+
+  labels
+    .filter((d) => shown.has(d))
+    .attr("x", (d) => transform.applyX(d.x))
+    .attr("y", (d) => transform.applyY(d.y) + offset(d));
+  labels.attr("display", (d) => (shown.has(d) ? null : "none"));
+}
+
+function renderLabelModeSelect() {
+  const select = document.getElementById("label-mode");
+  select.innerHTML = Object.entries(LABEL_MODES)
+    .map(
+      ([key, mode]) =>
+        `<option value="${key}"${key === labelMode ? " selected" : ""}>${escapeHtml(mode.label)}</option>`,
+    )
+    .join("");
+}
+
+function handleLabelModeChange(event) {
+  labelMode = event.target.value;
+  renderLabelText();
+}
+
+// Accessible names, e.g. "Italy, visited 2 times"
+function labelCountries(selection) {
+  const counts = d3.rollup(
+    getMapTrips().flatMap((trip) => trip.countryIds),
+    (ids) => ids.length,
+    (id) => id,
+  );
+  const planned = getPlannedCountries();
+  selection.attr("aria-label", (d) => {
+    const count = counts.get(d.id) || 0;
+    const parts = [
+      d.properties.name,
+      count > 0
+        ? `visited ${count} ${count === 1 ? "time" : "times"}`
+        : "not visited",
+    ];
+    if (planned.has(d.id)) parts.push("dinner planned");
+    if (compareClub?.visited.has(d.id)) {
+      parts.push(`visited by ${compareClub.club.name}`);
+    }
+    return parts.join(", ");
+  });
+}
+
+// Trips shown on the map, honouring the member and timeline filters
+function getMapTrips() {
+  return tripsData.filter(
+    (trip) =>
+      (!selectedMember || hasAttendee(trip, selectedMember)) &&
+      (!timelineDate || trip.date <= timelineDate),
+  );
+}
+
+// Countries to colour as visited
+function getMapVisitedCountries() {
+  if (!selectedMember && !timelineDate) return visitedCountries;
+  return new Set(getMapTrips().flatMap((trip) => trip.countryIds));
+}
+
+// Countries coloured on the map: ours, plus the other club's in compare mode
+function getColouredCountries() {
+  const visited = getMapVisitedCountries();
+  if (!compareClub) return visited;
+  return new Set([...visited, ...getCompareVisitedCountries()]);
+}
+
+// Countries with a dinner coming up
+function getPlannedCountries() {
+  return new Set(plannedTrips.flatMap((trip) => trip.countryIds));
+}
+
+// Re-apply visited styling after a filter change
+function updateMapColours() {
+  const { g } = mapState;
+  if (!g) return;
+  const visited = getColouredCountries();
+  const planned = getPlannedCountries();
+  g.selectAll("path.country")
+    .classed("visited", (d) => visited.has(d.id))
+    .classed("planned", (d) => planned.has(d.id))
+    .call(shadeCountries)
+    .call(labelCountries);
+  renderMapLegend();
+  if (mapRenderer === "canvas") scheduleCanvasRender();
+}
+
+// Per-country values and colour scale for the current colour mode, or null
+// for the binary visited look
+function getColourScale() {
+  const mode = COLOUR_MODES[colourMode];
+  if (!mode.value) return null;
+
+  const tripsByCountry = d3.group(
+    getMapTrips().flatMap((trip) => trip.countryIds.map((id) => [id, trip])),
+    ([id]) => id,
+  );
+  const values = new Map();
+  tripsByCountry.forEach((entries, id) => {
+    values.set(id, mode.value(entries.map(([, trip]) => trip)));
+  });
+
+  const extent = d3.extent([...values.values()].filter((v) => v !== null));
+  if (extent[0] === undefined) return { mode, values, scale: null };
+  // From just off the unvisited colour to a dark shade of the visited one
+  const { country, visited } = getMapColours();
+  const scale = d3
+    .scaleSequential()
+    .domain(mode.domain(extent))
+    .interpolator(
+      d3.interpolateLab(
+        d3.interpolateLab(country, visited)(0.3),
+        d3.color(visited).darker(1.2),
+      ),
+    );
+  return { mode, values, scale };
+}
+
+// Colour for each visited country in the current mode, or null when the
+// plain .visited style applies
+function getCountryShades() {
+  if (compareClub) return getCompareShades();
+  const colourScale = getColourScale();
+  if (!colourScale) return null;
+  const { values, scale } = colourScale;
+  const missing = getMapColours().missing;
+  const shades = new Map();
+  values.forEach((value, id) => {
+    shades.set(id, value === null || !scale ? missing : scale(value));
+  });
+  return shades;
+}
+
+// Compare mode: countries only we've been to, only they have, or both
+function getCompareShades() {
+  const ours = getMapVisitedCountries();
+  const theirs = getCompareVisitedCountries();
+  const { visited, compare, both } = getMapColours();
+  const shades = new Map();
+  ours.forEach((id) => shades.set(id, theirs.has(id) ? both : visited));
+  theirs.forEach((id) => {
+    if (!ours.has(id)) shades.set(id, compare);
+  });
+  return shades;
+}
+
+function shadeCountries(selection) {
+  const shades = getCountryShades();
+  selection
+    .classed("shaded", (d) => Boolean(shades?.has(d.id)))
+    .style("--shade", (d) => shades?.get(d.id) ?? null);
+}
+
+// Gradient legend for the current colour mode
+function renderMapLegend() {
+  const legend = document.getElementById("map-legend");
+  if (compareClub) {
+    renderCompareLegend(legend);
+    return;
+  }
+  const colourScale = getColourScale();
+  legend.hidden = !colourScale;
+  if (!colourScale) return;
+
+  const { mode, values, scale } = colourScale;
+  let gradient = "";
+  if (scale) {
+    const [min, max] = scale.domain();
+    const stops = d3
+      .range(0, 1.01, 0.25)
+      .map((t) => `${scale(min + (max - min) * t)} ${t * 100}%`);
+    gradient = `
+      <div class="map-legend-bar" style="background: linear-gradient(to right, ${stops.join(", ")})"></div>
+      <div class="map-legend-labels">
+        <span>${escapeHtml(mode.format(min))}</span>
+        <span>${escapeHtml(mode.format(max))}</span>
+      </div>
+    `;
+  }
+  const hasMissing = [...values.values()].some((value) => value === null);
+  legend.innerHTML = `
+    <div class="map-legend-title">${escapeHtml(mode.label)}</div>
+    ${gradient}
+    ${hasMissing ? `<div class="map-legend-missing"><span class="map-legend-swatch"></span>${escapeHtml(mode.missing)}</div>` : ""}
+  `;
+}
+
+// Swatches for compare mode's three colours
+function renderCompareLegend(legend) {
+  const { visited, compare, both } = getMapColours();
+  const ours = escapeHtml(currentClub.name);
+  const theirs = escapeHtml(compareClub.club.name);
+  const rows = [
+    [visited, `${ours} only`],
+    [compare, `${theirs} only`],
+    [both, "Both"],
+  ];
+  legend.hidden = false;
+  legend.innerHTML = `
+    <div class="map-legend-title">${ours} vs ${theirs}</div>
+    ${rows
+      .map(
+        ([colour, label]) =>
+          `<div class="map-legend-item"><span class="map-legend-swatch" style="background: ${colour}"></span>${label}</div>`,
+      )
+      .join("")}
+  `;
+}
+
+function renderColourModeSelect() {
+  const select = document.getElementById("colour-mode");
+  select.innerHTML = Object.entries(COLOUR_MODES)
+    .map(
+      ([key, mode]) =>
+        `<option value="${key}"${key === colourMode ? " selected" : ""}>${escapeHtml(mode.label)}</option>`,
+    )
+    .join("");
+}
+
+function handleColourModeChange(event) {
+  colourMode = event.target.value;
+  updateMapColours();
 }
 
 // Setup zoom behavior and return zoom instance
@@ -111,24 +760,500 @@ function setupZoomBehavior(svg, g, width, height) {
     .scaleExtent([zoomConfig.minZoom, MAX_ZOOM])
     .translateExtent(zoomConfig.translateExtent)
     .wheelDelta((event) => -event.deltaY * 0.002)
+    // On the globe, mouse and one-finger drags turn it instead, see
+    // setupGlobeDrag()
+    .filter((event) => {
+      const turning =
+        event.type === "mousedown" ||
+        (event.type === "touchstart" && event.touches.length < 2);
+      if (isGlobe() && turning) return false;
+      return (!event.ctrlKey || event.type === "wheel") && !event.button;
+    })
     .on("zoom", (event) => {
-      g.attr("transform", event.transform);
+      const { k } = event.transform;
+      if (mapRenderer === "canvas") {
+        // The canvas is redrawn every frame anyway, so switch detail now.
+        // The SVG's countries are hidden, so they're left where they are
+        setDetailLevel(k);
+        scheduleCanvasRender();
+      } else {
+        g.attr("transform", event.transform);
+        updateMarkers(g, mapState.path, k);
+      }
+      updateLabels(event.transform);
+    })
+    .on("end", (event) => {
+      // SVG paths are only regenerated once a gesture ends
+      if (setDetailLevel(event.transform.k)) redrawMap();
+      updateRouteTransform();
     });
 
   svg.call(zoom);
 
-  // Apply initial transform for portrait
-  const initialTransform = zoomConfig.getInitialTransform();
-  if (initialTransform) {
-    svg.call(
-      zoom.transform,
-      d3.zoomIdentity
-        .translate(initialTransform.x, initialTransform.y)
-        .scale(initialTransform.scale),
+  svg.call(zoom.transform, getStartTransform(zoomConfig));
+
+  return zoom;
+}
+
+// Drag to turn the globe. Registered after the zoom behaviour, which lets
+// drags through only on the globe
+function setupGlobeDrag(svg) {
+  const drag = d3
+    .drag()
+    .container(svg.node())
+    .filter((event) => isGlobe() && !event.button)
+    .on("start", () => svg.interrupt("rotate"))
+    .on("drag", (event) => {
+      const { path } = mapState;
+      const projection = path.projection();
+      // Degrees per pixel, so the point under the pointer roughly follows it
+      const k = d3.zoomTransform(svg.node()).k;
+      const step = 180 / (Math.PI * projection.scale() * k);
+      const [λ, φ, γ] = globeRotation;
+      globeRotation = [
+        λ + event.dx * step,
+        Math.max(-90, Math.min(90, φ - event.dy * step)),
+        γ,
+      ];
+      projection.rotate(globeRotation);
+      redrawMap();
+    });
+  svg.call(drag);
+}
+
+// Turn the globe so a country faces the viewer. Returns the country's bounds
+// once turned, for framing a zoom alongside
+function rotateGlobeTo(feature) {
+  const { svg, path } = mapState;
+  const projection = path.projection();
+  const [lon, lat] = d3.geoCentroid(feature);
+  const from = projection.rotate();
+  // Go the short way round
+  const turn = ((((-lon - from[0]) % 360) + 540) % 360) - 180;
+  const to = [from[0] + turn, -lat, 0];
+
+  projection.rotate(to);
+  const bounds = path.bounds(feature);
+  projection.rotate(from);
+
+  svg
+    .transition("rotate")
+    .duration(ZOOM_DURATION)
+    .tween("rotate", () => {
+      const rotate = d3.interpolate(from, to);
+      return (t) => {
+        globeRotation = rotate(t);
+        projection.rotate(globeRotation);
+        redrawMap();
+      };
+    });
+  return bounds;
+}
+
+// Re-project all map paths from mapState.path
+function redrawMap() {
+  const { svg, g, path } = mapState;
+  if (mapRenderer === "canvas") {
+    scheduleCanvasRender();
+  } else {
+    g.select("path.globe-sphere").attr("d", path);
+    g.selectAll(".country-layer path.country").attr("d", (d) =>
+      path(getOutline(d)),
     );
+    updateMarkers(g, path, d3.zoomTransform(svg.node()).k);
+    updateShadows();
   }
+  projectLabels();
+}
 
-  return zoom;
+// Switch to the level of detail for zoom `k`; returns whether it changed
+function setDetailLevel(k) {
+  const level = mapState.levels.find(({ maxZoom }) => k <= maxZoom);
+  if (level === mapState.detail) return false;
+  mapState.detail = level;
+  return true;
+}
+
+// Levels of detail from the map topology, see DETAIL_LEVELS. Simplifying the
+// shared arcs keeps neighbouring borders matched. `mesh` has every border
+// once, for the canvas renderer
+function buildDetailLevels(topology, features) {
+  const object = topology.objects.countries;
+  const weighted = topojson.presimplify(
+    topology,
+    topojson.sphericalTriangleArea,
+  );
+  return DETAIL_LEVELS.map(({ maxZoom, share }) => {
+    const simplified =
+      share < 1
+        ? topojson.simplify(weighted, topojson.quantile(weighted, share))
+        : topology;
+    const outlines = (
+      share < 1 ? topojson.feature(simplified, object).features : features
+    )
+      // Presimplifying drops the topology's quantization transform, so
+      // point geometries come out in quantized units. Points have nothing
+      // to simplify; getOutline() falls back to the full-detail feature
+      .filter((d) => d.geometry?.type !== "Point")
+      .map((d) => [d.id, d]);
+    return {
+      maxZoom,
+      outlines: new Map(outlines),
+      mesh: topojson.mesh(simplified, object),
+    };
+  });
+}
+
+// Re-fit the projection to the map's size and reset the view, after a
+// resize or projection change
+function refitMap() {
+  const { svg, zoom, features, width, height } = mapState;
+  d3.select(svg.node().parentNode).classed("globe", isGlobe());
+
+  // Update zoom constraints
+  const zoomConfig = getZoomConfig(width, height);
+  zoom
+    .scaleExtent([zoomConfig.minZoom, MAX_ZOOM])
+    .translateExtent(zoomConfig.translateExtent);
+
+  mapState.path = createProjection(width, height, {
+    type: "FeatureCollection",
+    features,
+  });
+
+  // Reset to initial view for new orientation, then redraw once at its
+  // level of detail
+  const transform = getStartTransform(zoomConfig);
+  setDetailLevel(transform.k);
+  sizeCanvas();
+  svg.call(zoom.transform, transform);
+  redrawMap();
+}
+
+function renderProjectionSelect() {
+  const select = document.getElementById("projection-select");
+  select.innerHTML = Object.entries(PROJECTIONS)
+    .map(
+      ([key, projection]) =>
+        `<option value="${key}"${key === projectionMode ? " selected" : ""}>${escapeHtml(projection.label)}</option>`,
+    )
+    .join("");
+}
+
+function handleProjectionChange(event) {
+  projectionMode = event.target.value;
+  if (mapState.svg) refitMap();
+}
+
+function loadRendererSetting() {
+  try {
+    const saved = localStorage.getItem(RENDERER_STORAGE_KEY);
+    if (RENDERERS[saved]) mapRenderer = saved;
+  } catch {
+    // Keep the default
+  }
+}
+
+function renderRendererSelect() {
+  const select = document.getElementById("renderer-select");
+  select.innerHTML = Object.entries(RENDERERS)
+    .map(
+      ([key, renderer]) =>
+        `<option value="${key}"${key === mapRenderer ? " selected" : ""}>${escapeHtml(renderer.label)}</option>`,
+    )
+    .join("");
+}
+
+function handleRendererChange(event) {
+  mapRenderer = event.target.value;
+  try {
+    localStorage.setItem(RENDERER_STORAGE_KEY, mapRenderer);
+  } catch (error) {
+    console.error("Error saving renderer:", error);
+  }
+  if (mapState.svg) applyRenderer();
+}
+
+// Switch between drawing the map as SVG paths and on a canvas. With the
+// canvas, the SVG stays on top, transparent, for labels, zooming, focus and
+// screen readers; its country paths just aren't kept up to date
+function applyRenderer() {
+  const { svg, g } = mapState;
+  const container = svg.node().parentNode;
+  const canvas = mapRenderer === "canvas";
+  if (canvas && !mapState.canvas) {
+    mapState.canvas = d3
+      .select(container)
+      .insert("canvas", "svg")
+      .attr("class", "map-canvas")
+      .attr("aria-hidden", "true")
+      .node();
+  }
+  d3.select(container).classed("canvas-renderer", canvas);
+  if (canvas) sizeCanvas();
+  else g.attr("transform", d3.zoomTransform(svg.node()));
+  redrawMap();
+}
+
+// Match the canvas's pixels to its size on screen. This reallocates and
+// clears it, so it's only done when the map is refitted or the renderer
+// switched rather than every frame
+function sizeCanvas() {
+  const { canvas } = mapState;
+  if (!canvas) return;
+  const box = canvas.getBoundingClientRect();
+  const ratio = window.devicePixelRatio || 1;
+  canvas.width = Math.round(box.width * ratio);
+  canvas.height = Math.round(box.height * ratio);
+  // The hatch is scaled to the map's width
+  canvasStyle = null;
+}
+
+// Colours and hatch pattern for the canvas, read once and kept until the
+// club's colours or the map's size change
+let canvasStyle = null;
+
+function getCanvasStyle(context) {
+  if (!canvasStyle) {
+    const colours = getMapColours();
+    canvasStyle = { colours, hatch: getCanvasHatch(context, colours) };
+  }
+  return canvasStyle;
+}
+
+// Redraw the canvas once per frame, however many changes ask for it
+let canvasRenderPending = false;
+
+function scheduleCanvasRender() {
+  if (canvasRenderPending || !mapState.canvas) return;
+  canvasRenderPending = true;
+  requestAnimationFrame(() => {
+    canvasRenderPending = false;
+    if (mapRenderer === "canvas") renderCanvas();
+  });
+}
+
+// Draw the map as the SVG would look: each country's fill from its path's
+// classes, borders once from the level of detail's mesh, markers, then lifted
+// countries over their shadows
+function renderCanvas() {
+  const { svg, g, canvas, path, detail } = mapState;
+  const context = canvas.getContext("2d");
+  const box = canvas.getBoundingClientRect();
+  const ratio = canvas.width / box.width || 1;
+  context.setTransform(1, 0, 0, 1, 0, 0);
+  context.clearRect(0, 0, canvas.width, canvas.height);
+
+  // Map units to canvas pixels: the SVG's viewBox scaling, then the zoom
+  const ctm = svg.node().getScreenCTM();
+  const transform = d3.zoomTransform(svg.node());
+  const scale = ctm.a * transform.k;
+  context.setTransform(
+    ratio * scale,
+    0,
+    0,
+    ratio * scale,
+    ratio * (ctm.e - box.left + ctm.a * transform.x),
+    ratio * (ctm.f - box.top + ctm.d * transform.y),
+  );
+  const draw = d3.geoPath(path.projection(), context);
+  const pixel = 1 / scale;
+  // Stroke widths and the lift are in vmin in the CSS
+  const vmin = Math.min(window.innerWidth, window.innerHeight) / 100;
+  const { colours, hatch } = getCanvasStyle(context);
+
+  if (isGlobe()) {
+    context.beginPath();
+    draw({ type: "Sphere" });
+    context.fillStyle = colours.ocean;
+    context.fill();
+    context.lineWidth = pixel;
+    context.strokeStyle = colours.stroke;
+    context.stroke();
+  }
+
+  const lifted = getLiftedCountryIds();
+  const markers = [];
+  const raised = [];
+  g.selectAll("path.country").each(function (d) {
+    const marker =
+      this.classList.contains("marker") &&
+      !showsMarkerShape(path, d, transform.k);
+    const country = { d, node: this, marker };
+    if (marker) markers.push(country);
+    else if (lifted.has(d.id)) raised.push(country);
+    else {
+      context.beginPath();
+      draw(this.classList.contains("marker") ? d : getOutline(d));
+      context.fillStyle = getCanvasFill(this, colours, hatch);
+      context.fill();
+    }
+  });
+
+  context.beginPath();
+  draw(detail.mesh);
+  context.lineWidth = 0.06 * vmin;
+  context.strokeStyle = colours.stroke;
+  context.stroke();
+
+  const drawMarker = d3
+    .geoPath(path.projection(), context)
+    .pointRadius(MARKER_RADIUS / transform.k);
+  markers.forEach(({ d, node }) => {
+    context.beginPath();
+    drawMarker(getMarkerPoint(d));
+    context.fillStyle = getCanvasFill(node, colours, hatch);
+    context.fill();
+    context.lineWidth = pixel;
+    context.strokeStyle = node.classList.contains("active")
+      ? colours.accent
+      : colours.stroke;
+    context.stroke();
+  });
+
+  raised.forEach(({ d, node }) => {
+    // Tiny countries have no shadow in the SVG either
+    const tiny = node.classList.contains("marker");
+    const shape = tiny ? d : getOutline(d);
+    if (!tiny) {
+      context.beginPath();
+      draw(shape);
+      context.fillStyle = colours.shadow;
+      context.fill();
+    }
+
+    context.save();
+    context.translate(0, -0.25 * vmin);
+    context.beginPath();
+    draw(shape);
+    context.fillStyle = getCanvasFill(node, colours, hatch);
+    context.fill();
+    const active = node.classList.contains("active");
+    const focused = node.matches(":focus-visible");
+    context.lineWidth = (active ? 0.1 : focused ? 0.25 : 0.06) * vmin;
+    context.strokeStyle = active || focused ? colours.accent : colours.stroke;
+    context.stroke();
+    context.restore();
+  });
+}
+
+// A country's fill, following the .country rules in style.css
+function getCanvasFill(node, colours, hatch) {
+  const classes = node.classList;
+  const hovered = node.dataset.id === liftedCountries.hover;
+  if (classes.contains("shaded")) return node.style.getPropertyValue("--shade");
+  if (classes.contains("visited")) {
+    if (classes.contains("active")) return dimColour(colours.visited, 0.92);
+    return hovered ? dimColour(colours.visited, 0.95) : colours.visited;
+  }
+  if (classes.contains("active")) return hatch;
+  if (classes.contains("planned")) {
+    return hovered ? dimColour(colours.planned, 0.95) : colours.planned;
+  }
+  return hovered ? colours.hover : colours.country;
+}
+
+// CSS brightness() filter
+function dimColour(colour, amount) {
+  const { r, g, b } = d3.rgb(colour);
+  return d3.rgb(r * amount, g * amount, b * amount).formatRgb();
+}
+
+// Canvas version of createHatchPattern()
+function getCanvasHatch(context, colours) {
+  const { width } = mapState;
+  const unit = width / PATTERN_SCALE_DIVISOR;
+  const size = 32; // Tile resolution, scaled down to `unit` map units
+  const tile = document.createElement("canvas");
+  tile.width = tile.height = size;
+  const tileContext = tile.getContext("2d");
+  tileContext.fillStyle = colours.country;
+  tileContext.fillRect(0, 0, size, size);
+  tileContext.fillStyle = colours.visited;
+  tileContext.fillRect(0, 0, size / 1.7 / 2, size);
+  tileContext.fillRect(size - size / 1.7 / 2, 0, size / 1.7 / 2, size);
+  const pattern = context.createPattern(tile, "repeat");
+  pattern.setTransform(
+    new DOMMatrix().rotate(45).scale(unit / size, unit / size),
+  );
+  return pattern;
+}
+
+// Hovering and clicking with the canvas renderer, hit-tested against the map
+function setupCanvasEvents(svg) {
+  svg
+    .on("click.canvas", (event) => {
+      if (mapRenderer !== "canvas") return;
+      const d = findCountryAt(d3.pointer(event, svg.node()));
+      if (d) handleCountryClick(event, d);
+    })
+    .on("mousemove.canvas", (event) => {
+      if (mapRenderer !== "canvas" || event.buttons) return;
+      const pending = canvasHoverPoint !== null;
+      canvasHoverPoint = d3.pointer(event, svg.node());
+      if (!pending) requestAnimationFrame(() => updateCanvasHover(svg));
+    })
+    .on("mouseleave.canvas", () => {
+      canvasHoverPoint = null;
+      if (mapRenderer === "canvas") setLiftedCountry("hover", null);
+    });
+}
+
+// Hover is hit-tested once per frame, at the latest pointer position
+let canvasHoverPoint = null;
+
+function updateCanvasHover(svg) {
+  if (!canvasHoverPoint || mapRenderer !== "canvas") return;
+  const d = findCountryAt(canvasHoverPoint);
+  canvasHoverPoint = null;
+  svg.classed("over-country", Boolean(d));
+  if ((d?.id ?? null) !== liftedCountries.hover) {
+    setLiftedCountry("hover", d?.id ?? null);
+  }
+}
+
+// Country at a point in the SVG's coordinates. Markers first, as they're
+// drawn on top and their tap area is bigger than the dot
+function findCountryAt(point) {
+  const { svg, g, path, features } = mapState;
+  const transform = d3.zoomTransform(svg.node());
+  const [x, y] = transform.invert(point);
+  const reach = MARKER_HIT_RADIUS / transform.k;
+  const marker = g
+    .selectAll(".marker-layer path.country")
+    .data()
+    .find((d) => {
+      if (showsMarkerShape(path, d, transform.k)) return false;
+      const [mx, my] = path.centroid(getMarkerPoint(d));
+      return Math.hypot(mx - x, my - y) <= reach;
+    });
+  if (marker) return marker;
+
+  // Off the edge of the globe there's nothing to invert
+  const lonLat = path.projection().invert([x, y]);
+  if (!lonLat || isNaN(lonLat[0])) return null;
+  // Against the outlines being drawn, skipping any whose bounds miss
+  return (
+    features.find((d) => {
+      const outline = getOutline(d);
+      return (
+        isInOutlineBounds(outline, lonLat) && d3.geoContains(outline, lonLat)
+      );
+    }) || null
+  );
+}
+
+// Lon/lat bounds of outlines, worked out as they're first hit-tested
+const outlineBounds = new WeakMap();
+
+function isInOutlineBounds(outline, [lon, lat]) {
+  if (!outlineBounds.has(outline)) {
+    outlineBounds.set(outline, d3.geoBounds(outline));
+  }
+  const [[west, south], [east, north]] = outlineBounds.get(outline);
+  if (lat < south || lat > north) return false;
+  // Bounds across the antimeridian have west > east
+  return west <= east ? lon >= west && lon <= east : lon >= west || lon <= east;
 }
 
 // Convert ISO alpha-2 code to flag emoji
@@ -147,6 +1272,9 @@ let mapState = {
   zoom: null,
   path: null,
   features: [],
+  levels: [], // See buildDetailLevels()
+  detail: null, // Current level of detail
+  canvas: null, // Canvas renderer's element, once used
   width: 0,
   height: 0,
 };
@@ -154,67 +1282,742 @@ let mapState = {
 // Initialize the app
 async function init() {
   await loadMappings();
+  await loadClubs();
+  await loadClubConfig();
+  applyStartView();
   await loadTrips();
-  await loadMap();
+  loadDrafts();
+  loadRendererSetting();
+  const mapData = await loadMapData();
+  // Checked whether or not the map loaded, so the lists, stats and exports
+  // still work without it
+  applyTripValidation();
+  drawMap(mapData);
+  renderDataProblems();
+  renderNextDinner();
+  renderClubSelects();
+  renderMemberSelect();
+  renderColourModeSelect();
+  renderProjectionSelect();
+  renderLabelModeSelect();
+  renderRendererSelect();
+  renderCountryOptions();
+  setupTimeline();
   setupEventListeners();
   setupResizeHandler();
+  setupRouter();
 }
 
 // Load country mappings from JSON files
 async function loadMappings() {
   try {
-    const [continentsRes, codesRes] = await Promise.all([
-      fetch("data/country-continents.json"),
-      fetch("data/country-codes.json"),
-    ]);
+    const [continentsRes, codesRes, aliasesRes, cuisinesRes] =
+      await Promise.all([
+        fetch("data/country-continents.json"),
+        fetch("data/country-codes.json"),
+        fetch("data/country-aliases.json"),
+        fetch("data/cuisines.yaml"),
+      ]);
     countryToContinent = await continentsRes.json();
     alpha3to2 = await codesRes.json();
+    countryAliases = await aliasesRes.json();
+    if (cuisinesRes.ok) {
+      cuisineGroups = parseCuisineGroups(jsyaml.load(await cuisinesRes.text()));
+    }
+    alpha2to3 = Object.fromEntries(
+      Object.entries(alpha3to2).map(([alpha3, alpha2]) => [alpha2, alpha3]),
+    );
   } catch (error) {
     console.error("Error loading mappings:", error);
   }
 }
 
+// Build cuisine group lookup from cuisines.yaml ("Levantine: [LBN, SYR]")
+function parseCuisineGroups(data) {
+  const groups = {};
+  Object.entries(data || {}).forEach(([name, members]) => {
+    if (!Array.isArray(members)) return;
+    groups[name.trim().toLowerCase()] = { name, members: members.map(String) };
+  });
+  return groups;
+}
+
 // Load trips from YAML
 async function loadTrips() {
+  const { trips, extras, problems } = await readTripsFile(currentClub.trips);
+  sourceTrips = trips;
+  tripsFileExtras = extras;
+  loadProblems.push(...problems);
+}
+
+// Read a trips file: its trips, its other top-level keys (skip, wishlist)
+// and any problems reading it
+async function readTripsFile(url) {
+  const result = { trips: [], extras: {}, problems: [] };
   try {
-    const response = await fetch("data/trips.yaml");
+    const response = await fetch(url);
     if (!response.ok) {
-      console.log("No trips.yaml found, using empty data");
-      return;
+      console.log(`No ${url} found, using empty data`);
+      return result;
     }
     const yamlText = await response.text();
     const data = jsyaml.load(yamlText);
 
-    if (data && data.trips) {
-      tripsData = data.trips;
-      // Build set of visited countries (lowercase names)
-      tripsData.forEach((trip) => {
-        visitedCountries.add(trip.country.toLowerCase());
-      });
+    // Trips are validated once the map's country names are known
+    if (data) {
+      const { trips, ...extras } = data;
+      result.extras = extras;
+    }
+    if (data && Array.isArray(data.trips)) {
+      result.trips = data.trips;
+    } else if (data && data.trips) {
+      result.problems.push({ reason: "`trips` must be a list of trips" });
     }
   } catch (error) {
     console.error("Error loading trips:", error);
+    if (error.name === "YAMLException") {
+      result.problems.push({
+        reason: `YAML syntax error on line ${error.mark.line + 1}: ${error.reason}`,
+      });
+    }
   }
+  return result;
 }
 
-// Load and render the map with D3
-async function loadMap() {
-  const container = document.getElementById("map-container");
-  const width = container.clientWidth || 960;
-  const height = container.clientHeight || 500;
+// Load the list of clubs from data/clubs.yaml and pick the one in the page
+// URL (?club=id), or the first. Without the file there's one club, read from
+// data/trips.yaml and data/club.yaml
+async function loadClubs() {
+  const addProblem = (reason) =>
+    clubProblems.push({ label: "data/clubs.yaml", reason });
+  clubs = [];
+  try {
+    const response = await fetch("data/clubs.yaml");
+    if (response.ok) {
+      clubs = parseClubs(jsyaml.load(await response.text()), addProblem);
+    }
+  } catch (error) {
+    console.error("Error loading clubs:", error);
+    if (error.name === "YAMLException") {
+      addProblem(
+        `YAML syntax error on line ${error.mark.line + 1}: ${error.reason}`,
+      );
+    }
+  }
+  if (clubs.length === 0) {
+    clubs = [
+      {
+        id: "main",
+        name: DEFAULT_CLUB_CONFIG.name,
+        trips: "data/trips.yaml",
+        settings: "data/club.yaml",
+      },
+    ];
+  }
+
+  const requested = new URLSearchParams(location.search).get("club");
+  currentClub = clubs.find((club) => club.id === requested) || clubs[0];
+  loadProblems = [...clubProblems];
+}
+
+// Check clubs.yaml's entries: each needs a unique id and a trips file
+function parseClubs(data, addProblem) {
+  if (!Array.isArray(data?.clubs)) {
+    addProblem("`clubs` must be a list of clubs");
+    return [];
+  }
+  const isPath = (value) => typeof value === "string" && !isBlank(value);
+  const result = [];
+  data.clubs.forEach((entry, index) => {
+    const id = isBlank(entry?.id) ? "" : String(entry.id).trim();
+    if (!id || !isPath(entry.trips)) {
+      addProblem(`Club ${index + 1} needs an \`id\` and a \`trips\` file`);
+    } else if (result.some((club) => club.id === id)) {
+      addProblem(`Duplicate club id "${id}"`);
+    } else {
+      result.push({
+        id,
+        name: isBlank(entry.name) ? id : String(entry.name).trim(),
+        trips: entry.trips,
+        settings: isPath(entry.settings) ? entry.settings : null,
+      });
+    }
+  });
+  return result;
+}
 
+// Load the current club's settings (data/club.yaml). Everything in it is
+// optional, and anything invalid keeps its default and is listed with the
+// data problems
+async function loadClubConfig() {
+  const { settings } = currentClub;
+  const addProblem = (reason) => loadProblems.push({ label: settings, reason });
+  clubConfig = DEFAULT_CLUB_CONFIG;
   try {
-    const response = await fetch("data/countries.geojson");
-    if (!response.ok) throw new Error("Failed to load GeoJSON");
-    const geojson = await response.json();
+    const response = settings ? await fetch(settings) : null;
+    if (response?.ok) {
+      const data = jsyaml.load(await response.text());
+      clubConfig = parseClubConfig(data || {}, addProblem);
+    }
+  } catch (error) {
+    console.error("Error loading club settings:", error);
+    if (error.name === "YAMLException") {
+      addProblem(
+        `YAML syntax error on line ${error.mark.line + 1}: ${error.reason}`,
+      );
+    }
+  }
+  applyClubConfig();
+}
+
+// Check club.yaml's settings, falling back to the defaults
+function parseClubConfig(data, addProblem) {
+  const config = {
+    ...DEFAULT_CLUB_CONFIG,
+    startView: { ...DEFAULT_CLUB_CONFIG.startView },
+    colours: {},
+  };
+  // Set `target[key]` from `value` when `check` passes
+  const setting = (target, key, name, value, check, reason) => {
+    if (value === undefined || value === null) return;
+    if (check(value)) target[key] = value;
+    else addProblem(`\`${name}\` ${reason}`);
+  };
+  const isText = (value) => typeof value === "string" && value.trim() !== "";
+  const isFormat = (options) => (value) => {
+    try {
+      return isText(value) && Boolean(new Intl.NumberFormat(value, options));
+    } catch {
+      return false;
+    }
+  };
+
+  setting(config, "name", "name", data.name, isText, "must be text");
+  setting(config, "city", "city", data.city, isText, "must be text");
+  setting(
+    config,
+    "locale",
+    "locale",
+    data.locale,
+    isFormat(),
+    "must be a locale such as en-GB",
+  );
+  setting(
+    config,
+    "currency",
+    "currency",
+    data.currency,
+    (value) => isFormat({ style: "currency", currency: value })("en"),
+    "must be a currency code such as GBP",
+  );
+  setting(
+    config,
+    "weekStart",
+    "week_start",
+    typeof data.week_start === "string"
+      ? data.week_start.toLowerCase()
+      : data.week_start,
+    (value) => Object.hasOwn(WEEK_STARTS, value),
+    `must be one of ${Object.keys(WEEK_STARTS).join(", ")}`,
+  );
+
+  const view = data.start_view || {};
+  const oneOf = (options) => (value) => Object.hasOwn(options, value);
+  const listOf = (options) =>
+    `must be one of ${Object.keys(options).join(", ")}`;
+  setting(
+    config.startView,
+    "projection",
+    "start_view.projection",
+    view.projection,
+    oneOf(PROJECTIONS),
+    listOf(PROJECTIONS),
+  );
+  setting(
+    config.startView,
+    "colourMode",
+    "start_view.colour_mode",
+    view.colour_mode,
+    oneOf(COLOUR_MODES),
+    listOf(COLOUR_MODES),
+  );
+  setting(
+    config.startView,
+    "labels",
+    "start_view.labels",
+    view.labels,
+    oneOf(LABEL_MODES),
+    listOf(LABEL_MODES),
+  );
+  setting(
+    config.startView,
+    "center",
+    "start_view.center",
+    view.center,
+    (value) =>
+      Array.isArray(value) &&
+      value.length === 2 &&
+      value.every(Number.isFinite) &&
+      Math.abs(value[0]) <= 180 &&
+      Math.abs(value[1]) <= 90,
+    "must be [longitude, latitude]",
+  );
+  setting(
+    config.startView,
+    "zoom",
+    "start_view.zoom",
+    view.zoom,
+    (value) => typeof value === "number" && value >= 1 && value <= MAX_ZOOM,
+    `must be a number from 1 to ${MAX_ZOOM}`,
+  );
+
+  Object.entries(data.colours || {}).forEach(([key, value]) => {
+    if (!Object.hasOwn(CLUB_COLOURS, key)) {
+      addProblem(`Unknown colour \`${key}\``);
+      return;
+    }
+    setting(
+      config.colours,
+      key,
+      `colours.${key}`,
+      value,
+      (colour) => typeof colour === "string" && d3.color(colour) !== null,
+      "must be a CSS colour",
+    );
+  });
+
+  return config;
+}
+
+// Apply the page title and map colours, replacing the previous club's
+function applyClubConfig() {
+  const { name, colours } = clubConfig;
+  const { style } = document.documentElement;
+  document.title = name;
+  canvasStyle = null;
+  d3.timeFormatDefaultLocale(getTimeLocaleDefinition(clubConfig.locale));
+  Object.entries(CLUB_COLOURS).forEach(([key, property]) => {
+    if (colours[key]) style.setProperty(property, colours[key]);
+    else style.removeProperty(property);
+  });
+}
+
+// Month and day names for d3's time formats (chart axes) from Intl, so they
+// follow the club's locale like the rest of the page's dates
+function getTimeLocaleDefinition(locale) {
+  const names = (options, dates) => {
+    const format = new Intl.DateTimeFormat(locale, {
+      ...options,
+      timeZone: "UTC",
+    });
+    return dates.map((date) => format.format(date));
+  };
+  const months = d3.range(12).map((month) => new Date(Date.UTC(2000, month)));
+  // 2 January 2000 was a Sunday, where d3's lists start
+  const days = d3.range(7).map((day) => new Date(Date.UTC(2000, 0, 2 + day)));
+  const period = (hour) =>
+    new Intl.DateTimeFormat(locale, {
+      hour: "numeric",
+      hour12: true,
+      timeZone: "UTC",
+    })
+      .formatToParts(new Date(Date.UTC(2000, 0, 1, hour)))
+      .find((part) => part.type === "dayPeriod")?.value;
+
+  return {
+    dateTime: "%x, %X",
+    date: "%Y-%m-%d",
+    time: "%H:%M:%S",
+    periods: [period(1) || "AM", period(13) || "PM"],
+    days: names({ weekday: "long" }, days),
+    shortDays: names({ weekday: "short" }, days),
+    months: names({ month: "long" }, months),
+    shortMonths: names({ month: "short" }, months),
+  };
+}
+
+// Open the map as club.yaml's start view sets out, on page load and when
+// switching clubs
+function applyStartView() {
+  const { startView } = clubConfig;
+  projectionMode = startView.projection;
+  colourMode = startView.colourMode;
+  labelMode = startView.labels;
+  // The globe opens turned to face the start view's centre
+  if (startView.center) {
+    globeRotation = [-startView.center[0], -startView.center[1], 0];
+  }
+}
 
-    // Filter out tiny territories that cause click issues
-    geojson.features = geojson.features.filter(
-      (f) => !TINY_TERRITORIES.has(f.id),
+// Validate trips against the schema and the map's country names
+// Returns the trips that are safe to render plus a list of problems
+function validateTrips(trips) {
+  const valid = [];
+  const problems = [];
+  const seen = new Map(); // duplicate key -> entry number
+  const today = getTodayString();
+
+  trips.forEach((raw, index) => {
+    const entry = index + 1;
+    const addProblem = (reason, extra = {}) =>
+      problems.push({
+        entry,
+        label: raw?.restaurant || [].concat(raw?.country ?? []).join(", "),
+        reason,
+        ...extra,
+      });
+
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+      addProblem("Entry is not a trip", { skipped: true });
+      return;
+    }
+
+    const trip = { ...raw, date: normalizeTripDate(raw.date) };
+
+    // Required fields and date format make the trip unusable if wrong
+    const missing = REQUIRED_TRIP_FIELDS.filter((field) =>
+      isBlank(trip[field]),
     );
+    if (missing.length > 0) {
+      addProblem(`Missing ${missing.map((f) => `\`${f}\``).join(", ")}`, {
+        skipped: true,
+      });
+      return;
+    }
+    const countries = [].concat(trip.country);
+    if (countries.some((c) => typeof c !== "string" || isBlank(c))) {
+      addProblem("`country` must be a country name or a list of them", {
+        skipped: true,
+      });
+      return;
+    }
+    trip.country = Array.isArray(trip.country)
+      ? countries.map((c) => c.trim())
+      : trip.country.trim();
+    if (!isValidDateString(trip.date)) {
+      addProblem(`Invalid date "${trip.date}" (expected YYYY-MM-DD)`, {
+        skipped: true,
+      });
+      return;
+    }
+
+    // Duplicates would be counted twice
+    const key = [trip.country, trip.date, trip.restaurant]
+      .map((v) => String(v).trim().toLowerCase())
+      .join("|");
+    if (seen.has(key)) {
+      addProblem(`Duplicate of entry #${seen.get(key)}`, { skipped: true });
+      return;
+    }
+    seen.set(key, entry);
+
+    // Everything else is a warning: the trip still renders
+    const { ids, groups, unknown } = resolveTripCountries(countries);
+    trip.countryIds = ids;
+    trip.cuisine = describeCuisine(ids, groups);
+    unknown.forEach((name) => {
+      addProblem(`Unknown country "${name}"`, {
+        suggestion: suggestCountryName(name),
+        unknownCountry: true,
+      });
+    });
+    ["attendees", "absent"].forEach((field) => {
+      const names = isBlank(trip[field]) ? [] : [].concat(trip[field]);
+      const valid = names.filter((n) => typeof n === "string" && !isBlank(n));
+      if (valid.length < names.length) {
+        addProblem(`\`${field}\` must be a list of names`);
+      }
+      trip[field] = valid.map((n) => n.trim());
+    });
+    trip.absent
+      .filter((name) => hasAttendee(trip, name))
+      .forEach((name) => {
+        addProblem(`${name} is listed as both attending and absent`);
+      });
+    if (!isBlank(trip.status) && !TRIP_STATUSES.includes(trip.status)) {
+      addProblem(
+        `\`status\` must be ${TRIP_STATUSES.join(" or ")}: "${trip.status}"`,
+      );
+      delete trip.status;
+    }
+    // Nobody has eaten at a dinner that hasn't happened yet
+    trip.planned = trip.status === "planned" || trip.date > today;
+    if (!isBlank(trip.maps_url) && !isValidUrl(trip.maps_url)) {
+      addProblem(`\`maps_url\` is not a web link: "${trip.maps_url}"`);
+      delete trip.maps_url;
+    }
+
+    // Ratings, dishes and spend
+    trip.averageRating = null;
+    if (!isBlank(trip.rating)) {
+      const ratings = getRatingValues(trip.rating);
+      if (ratings.length === 0 || !ratings.every(isValidRating)) {
+        addProblem(
+          `\`rating\` must be ${RATING_RANGE.join("–")} overall or per attendee`,
+        );
+        delete trip.rating;
+      } else {
+        trip.averageRating = d3.mean(ratings);
+      }
+    }
+    const dishes = isBlank(trip.dishes) ? [] : [].concat(trip.dishes);
+    trip.dishes = dishes.map(normalizeDish).filter(Boolean);
+    if (trip.dishes.length < dishes.length) {
+      addProblem("`dishes` must be names or { name, rating } entries");
+    }
+    if (
+      !isBlank(trip.cost_per_head) &&
+      !(typeof trip.cost_per_head === "number" && trip.cost_per_head >= 0)
+    ) {
+      addProblem(`\`cost_per_head\` must be a number: "${trip.cost_per_head}"`);
+      delete trip.cost_per_head;
+    }
+
+    trip.entry = entry;
+    valid.push(trip);
+  });
+
+  return { valid, problems };
+}
+
+// `rating: 4` or per attendee `rating: { Tom: 4, Sam: 5 }`
+function getRatingValues(rating) {
+  if (typeof rating === "object" && !Array.isArray(rating)) {
+    return Object.values(rating);
+  }
+  return [rating];
+}
+
+function isValidRating(value) {
+  return (
+    typeof value === "number" &&
+    value >= RATING_RANGE[0] &&
+    value <= RATING_RANGE[1]
+  );
+}
+
+// Dishes are plain names or { name, rating }; returns null if invalid
+function normalizeDish(dish) {
+  if (typeof dish === "string" && !isBlank(dish)) {
+    return { name: dish.trim(), rating: null };
+  }
+  if (dish && typeof dish.name === "string" && !isBlank(dish.name)) {
+    if (!isBlank(dish.rating) && !isValidRating(dish.rating)) return null;
+    return { name: dish.name.trim(), rating: dish.rating ?? null };
+  }
+  return null;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === "";
+}
+
+// js-yaml turns unquoted YYYY-MM-DD values into Date objects
+function normalizeTripDate(value) {
+  if (value instanceof Date && !isNaN(value)) {
+    return value.toISOString().slice(0, 10);
+  }
+  return typeof value === "string" ? value.trim() : value;
+}
+
+// Check YYYY-MM-DD format and that the day exists (no 2023-02-30)
+function isValidDateString(value) {
+  if (typeof value !== "string" || !DATE_PATTERN.test(value)) return false;
+  const [year, month, day] = value.split("-").map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function isValidUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+// Resolve a trip's `country` value to a map feature id
+// Accepts map names, alpha-3/alpha-2 codes and aliases (case-insensitive)
+function resolveCountryId(value) {
+  const key = value.trim().toLowerCase();
+  const code = key.toUpperCase();
+
+  const id =
+    countryNameToId[key] ||
+    (countryIdToName[code] && code) ||
+    alpha2to3[code] ||
+    countryAliases[key];
+
+  // Codes and aliases may point at countries missing from the map
+  return id && countryIdToName[id] ? id : null;
+}
+
+// Resolve a trip's country names/codes and cuisine groups to feature ids
+function resolveTripCountries(names) {
+  const ids = new Set();
+  const groups = [];
+  const unknown = [];
+
+  names.forEach((name) => {
+    const id = resolveCountryId(name);
+    const group = cuisineGroups[name.trim().toLowerCase()];
+    if (id) {
+      ids.add(id);
+    } else if (group) {
+      groups.push(group.name);
+      group.members.forEach((member) => {
+        const memberId = resolveCountryId(member);
+        if (memberId) ids.add(memberId);
+      });
+    } else {
+      unknown.push(name);
+    }
+  });
+
+  return { ids: [...ids], groups, unknown };
+}
+
+// Label for trips covering several countries ("Levantine", "India + Nepal")
+function describeCuisine(ids, groups) {
+  if (groups.length > 0) return groups.join(" + ");
+  if (ids.length > 1) return ids.map((id) => countryIdToName[id]).join(" + ");
+  return null;
+}
+
+// Suggest the closest known country name for a typo'd one
+function suggestCountryName(name) {
+  const target = name.trim().toLowerCase();
+  const candidates = { ...countryAliases, ...countryNameToId };
+  const groupNames = {};
+  Object.entries(cuisineGroups).forEach(([key, group]) => {
+    candidates[key] = key;
+    groupNames[key] = group.name;
+  });
+  let best = null;
+  let bestDistance = Infinity;
+
+  Object.keys(candidates).forEach((candidate) => {
+    const distance = levenshtein(target, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+
+  // Only suggest reasonably close matches
+  const maxDistance = Math.max(2, Math.floor(target.length / 3));
+  return best && bestDistance <= maxDistance
+    ? groupNames[best] || countryIdToName[candidates[best]]
+    : null;
+}
+
+// Edit distance between two strings
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Validate trips.yaml plus local drafts: keep valid trips and build visited set
+function applyTripValidation() {
+  const merged = getMergedTrips();
+  const { valid, problems } = validateTrips(merged.map(({ trip }) => trip));
+  valid.forEach((trip) => {
+    const { key, draft } = merged[trip.entry - 1];
+    trip.key = key;
+    trip.draft = draft;
+  });
+  tripsData = valid.filter((trip) => !trip.planned);
+  plannedTrips = valid
+    .filter((trip) => trip.planned)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  dataProblems = [
+    ...loadProblems,
+    ...problems,
+    ...(compareClub ? compareClub.problems : []),
+  ];
+
+  // Cuisine group members that don't match the map
+  Object.values(cuisineGroups).forEach((group) => {
+    group.members
+      .filter((member) => !resolveCountryId(member))
+      .forEach((member) => {
+        dataProblems.push({
+          label: group.name,
+          reason: `Unknown country "${member}" in cuisines.yaml`,
+          unknownCountry: true,
+        });
+      });
+  });
+
+  // Local edits that no longer match trips.yaml
+  getStaleEdits().forEach(({ original }) => {
+    dataProblems.push({
+      label: original?.restaurant || "Local change",
+      reason:
+        "trips.yaml has changed since this dinner was edited, so the local change isn't applied",
+    });
+  });
+
+  // Discover skip list and wishlist
+  discoverSkip = resolveCountryList("skip");
+  discoverWishlist = resolveCountryList("wishlist");
+
+  // ISO names spell some countries differently from the map, so without the
+  // map one note stands in for the names that didn't match
+  if (!countryNamesFromMap) {
+    const unmatched = dataProblems.filter((problem) => problem.unknownCountry);
+    dataProblems = dataProblems.filter((problem) => !problem.unknownCountry);
+    if (unmatched.length > 0) {
+      dataProblems.unshift({
+        label: "data/countries.topojson",
+        reason: `The map didn't load, so ${unmatched.length} country names couldn't be checked`,
+      });
+    }
+  }
+
+  // Build set of visited country ids
+  visitedCountries = new Set(tripsData.flatMap((trip) => trip.countryIds));
+}
+
+// Resolve a top-level country list in trips.yaml (e.g. `skip`) to ids
+function resolveCountryList(key) {
+  const value = tripsFileExtras[key];
+  const names = isBlank(value) ? [] : [].concat(value);
+  const { ids, unknown } = resolveTripCountries(names.map(String));
+  unknown.forEach((name) => {
+    dataProblems.push({
+      label: `\`${key}\``,
+      reason: `Unknown country "${name}"`,
+      suggestion: suggestCountryName(name),
+      unknownCountry: true,
+    });
+  });
+  return new Set(ids);
+}
 
-    // Build name mappings from GeoJSON
-    geojson.features.forEach((feature) => {
+// Load the map and learn its country names, which trips are checked against.
+// Without the map, names come from the ISO codes instead
+async function loadMapData() {
+  try {
+    const response = await fetch("data/countries.topojson");
+    if (!response.ok) throw new Error("Failed to load TopoJSON");
+    const topology = await response.json();
+    const { features } = topojson.feature(topology, topology.objects.countries);
+
+    // Build name mappings from the map data
+    features.forEach((feature) => {
       const id = feature.id;
       const name = feature.properties.name;
       if (id && name) {
@@ -222,13 +2025,56 @@ async function loadMap() {
         countryIdToName[id] = name;
       }
     });
+    countryNamesFromMap = true;
+    return { topology, features };
+  } catch (error) {
+    console.error("Error loading map:", error);
+    useCodeCountryNames();
+    return null;
+  }
+}
+
+// English region names for the country-codes.json ids, as trips.yaml and
+// country-aliases.json use English names
+function useCodeCountryNames() {
+  const regionNames = new Intl.DisplayNames(["en"], { type: "region" });
+  Object.entries(alpha3to2).forEach(([id, alpha2]) => {
+    const name = regionNames.of(alpha2);
+    // Unknown codes come back unchanged
+    if (!name || name === alpha2) return;
+    countryIdToName[id] = name;
+    // "Myanmar (Burma)" is also "Myanmar"
+    [name, name.replace(/\s*\(.*\)$/, "")].forEach((variant) => {
+      countryNameToId[variant.toLowerCase()] = id;
+    });
+  });
+}
+
+// Render the map loaded by loadMapData() with D3
+function drawMap(mapData) {
+  const container = document.getElementById("map-container");
+  const width = container.clientWidth || 960;
+  const height = container.clientHeight || 500;
+
+  if (!mapData) {
+    showMapError(container);
+    return;
+  }
+
+  try {
+    const { topology, features } = mapData;
 
     // Create SVG
     const svg = d3
       .select(container)
       .append("svg")
       .attr("viewBox", `0 0 ${width} ${height}`)
-      .attr("preserveAspectRatio", "xMidYMid meet");
+      .attr("preserveAspectRatio", "xMidYMid meet")
+      .attr("role", "application")
+      .attr(
+        "aria-label",
+        "World map. Arrow keys move between countries, Enter opens one",
+      );
 
     // Create pattern and map group
     const defs = svg.append("defs");
@@ -237,30 +2083,45 @@ async function loadMap() {
     // Group for all map content (zoom transforms this)
     const g = svg.append("g");
 
-    // Create projection, draw countries, setup zoom
-    const path = createProjection(width, height, geojson);
-    drawCountries(g, path, geojson.features);
-    const zoom = setupZoomBehavior(svg, g, width, height);
-
-    // Store references for discover feature
+    // Create projection, draw countries, setup zoom. Map state is stored
+    // first: drawing reads the level of detail from it, and zooming redraws
+    // the markers from mapState.path
+    const path = createProjection(width, height, {
+      type: "FeatureCollection",
+      features,
+    });
     mapState = {
       svg,
       g,
-      zoom,
+      zoom: null,
       path,
-      features: geojson.features,
+      features,
+      levels: buildDetailLevels(topology, features),
+      detail: null,
+      canvas: null,
       width,
       height,
     };
+    setDetailLevel(1);
+    drawCountries(g, path, features);
+    drawLabels(svg.append("g").attr("class", "label-layer"), features);
+    mapState.zoom = setupZoomBehavior(svg, g, width, height);
+    setupGlobeDrag(svg);
+    setupCanvasEvents(svg);
+    applyRenderer();
   } catch (error) {
-    console.error("Error loading map:", error);
-    container.innerHTML = `
+    console.error("Error drawing map:", error);
+    showMapError(container);
+  }
+}
+
+function showMapError(container) {
+  container.innerHTML = `
             <div style="padding: 2rem; text-align: center; color: #636e72;">
                 <p>Failed to load map data.</p>
-                <p style="font-size: 0.875rem;">Make sure countries.geojson is in the data folder.</p>
+                <p style="font-size: 0.875rem;">Make sure countries.topojson is in the data folder.</p>
             </div>
         `;
-  }
 }
 
 // Handle country click
@@ -268,29 +2129,116 @@ function handleCountryClick(event, d) {
   const countryName = d.properties.name;
   const countryId = d.id;
 
-  // Remove previous active state
-  d3.selectAll("path.country").classed("active", false);
-
-  // Add active state to clicked country
-  d3.select(event.currentTarget).classed("active", true).raise();
+  // Move the active state to the clicked country
+  setRovingCountry(countryId);
+  setActiveCountry(countryId);
+  // Raising re-inserts the node, which drops keyboard focus
+  if (event.type === "keydown") event.currentTarget.focus();
 
   // Zoom to country, positioned for sidebar
   zoomToCountry(d);
 
   // Get trips for this country
-  const trips = getTripsForCountry(countryName);
+  const trips = getTripsForCountry(countryId);
 
   // Show sidebar
   showSidebar(countryName, countryId, trips);
 }
 
+// Enter/Space open a country, arrow keys move to the nearest country that way
+function handleCountryKeydown(event, d) {
+  if (event.key === "Enter" || event.key === " ") {
+    event.preventDefault();
+    handleCountryClick(event, d);
+    return;
+  }
+
+  const direction = {
+    ArrowLeft: [-1, 0],
+    ArrowRight: [1, 0],
+    ArrowUp: [0, -1],
+    ArrowDown: [0, 1],
+  }[event.key];
+  if (!direction) return;
+  event.preventDefault();
+
+  const neighbour = findNeighbourCountry(d, direction);
+  if (!neighbour) return;
+  setRovingCountry(neighbour.id);
+  d3.select(`path[data-id="${neighbour.id}"]`).node().focus();
+  panToCountry(neighbour);
+}
+
+// Nearest country centroid in a direction, preferring ones straight ahead
+function findNeighbourCountry(feature, [dx, dy]) {
+  const { path, features } = mapState;
+  const [x0, y0] = path.centroid(feature);
+  let best = null;
+  let bestScore = Infinity;
+
+  features.forEach((f) => {
+    if (f === feature) return;
+    const [x, y] = path.centroid(f);
+    const along = (x - x0) * dx + (y - y0) * dy;
+    const across = Math.abs((x - x0) * dy - (y - y0) * dx);
+    if (!(along > 0) || across > along * 2) return;
+    const score = along + across * 2;
+    if (score < bestScore) {
+      best = f;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+// Make one country the tab stop for the map
+function setRovingCountry(countryId) {
+  d3.selectAll("path.country").attr("tabindex", (d) =>
+    d.id === countryId ? 0 : -1,
+  );
+}
+
+// Pan (without zooming) so a keyboard-focused country is on screen
+function panToCountry(feature) {
+  const { svg, zoom, path, width, height } = mapState;
+  const transform = d3.zoomTransform(svg.node());
+  if (isGlobe()) {
+    // Turn the country to the middle of the globe, and the globe on screen
+    rotateGlobeTo(feature);
+    svg
+      .transition()
+      .duration(ZOOM_DURATION)
+      .call(zoom.translateTo, width / 2, height / 2);
+    return;
+  }
+  const [x, y] = transform.apply(path.centroid(feature));
+  const margin = Math.min(width, height) * 0.1;
+  if (
+    x >= margin &&
+    x <= width - margin &&
+    y >= margin &&
+    y <= height - margin
+  ) {
+    return;
+  }
+  svg
+    .transition()
+    .duration(ZOOM_DURATION)
+    .call(
+      zoom.translateBy,
+      (width / 2 - x) / transform.k,
+      (height / 2 - y) / transform.k,
+    );
+}
+
 // Zoom and pan to show country alongside sidebar
 // Sidebar position determined by CSS media query: <=600px = bottom, >600px = left
 function zoomToCountry(feature) {
   const { svg, zoom, path, width, height } = mapState;
   if (!svg) return;
 
-  const bounds = path.bounds(feature);
+  // On the globe, turn the country to the front rather than panning to it
+  const bounds = isGlobe() ? rotateGlobeTo(feature) : path.bounds(feature);
   const [[x0, y0], [x1, y1]] = bounds;
   const bWidth = x1 - x0;
   const bHeight = y1 - y0;
@@ -331,10 +2279,14 @@ function zoomToCountry(feature) {
     );
 }
 
-// Get trips for a specific country (match by name, case-insensitive)
-function getTripsForCountry(countryName) {
-  const name = countryName.toLowerCase();
-  return tripsData.filter((trip) => trip.country.toLowerCase() === name);
+// Get trips for a specific country (by feature id)
+function getTripsForCountry(countryId) {
+  return tripsData.filter((trip) => trip.countryIds.includes(countryId));
+}
+
+// Get planned trips for a specific country (by feature id)
+function getPlannedTripsForCountry(countryId) {
+  return plannedTrips.filter((trip) => trip.countryIds.includes(countryId));
 }
 
 // Show the sidebar with trip information
@@ -350,10 +2302,21 @@ function showSidebar(countryName, countryId, trips, highlightDate = null) {
     ? `<span class="sidebar-flag">${flag}</span><span class="sidebar-country">${escapeHtml(countryName)}</span>`
     : `<span class="sidebar-country">${escapeHtml(countryName)}</span>`;
 
+  // Upcoming dinners go above the past ones
+  const planned = getPlannedTripsForCountry(countryId);
+  const plannedHtml =
+    planned.length > 0
+      ? `<div class="trips-section-title">Coming up</div>` +
+        planned.map((trip) => createTripCard(trip, highlightDate)).join("") +
+        (trips.length > 0
+          ? `<div class="trips-section-title">Past dinners</div>`
+          : "")
+      : "";
+
   // Populate trips
-  if (trips.length === 0) {
+  if (trips.length === 0 && planned.length === 0) {
     const searchQuery = encodeURIComponent(
-      `${countryName} restaurants near London, UK`,
+      `${countryName} restaurants near ${clubConfig.city}`,
     );
     const mapsUrl = `https://www.google.com/maps/search/${searchQuery}`;
     tripsList.innerHTML = `
@@ -361,21 +2324,27 @@ function showSidebar(countryName, countryId, trips, highlightDate = null) {
                 <div class="empty-state-icon">🍽️</div>
                 <p class="empty-state-text">No visits yet!</p>
                 <a href="${mapsUrl}" target="_blank" rel="noopener" class="find-btn">Find a restaurant</a>
+                <button class="add-trip-btn" data-country="${escapeHtml(countryName)}">+ Add a dinner</button>
             </div>
         `;
   } else {
     const searchQuery = encodeURIComponent(
-      `${countryName} restaurants near London, UK`,
+      `${countryName} restaurants near ${clubConfig.city}`,
     );
     const mapsUrl = `https://www.google.com/maps/search/${searchQuery}`;
     tripsList.innerHTML =
+      plannedHtml +
       trips.map((trip) => createTripCard(trip, highlightDate)).join("") +
-      `<a href="${mapsUrl}" target="_blank" rel="noopener" class="find-btn find-btn-secondary">Find another restaurant</a>`;
+      `<a href="${mapsUrl}" target="_blank" rel="noopener" class="find-btn find-btn-secondary">Find another restaurant</a>` +
+      `<button class="add-trip-btn" data-country="${escapeHtml(countryName)}">+ Add a dinner</button>`;
   }
 
   // Show sidebar
   sidebar.classList.add("open");
   overlay.classList.add("visible");
+  sidebarState = { countryId, tripDate: highlightDate };
+  scheduleRouteSync();
+  openDialog(sidebar, title);
 
   // Scroll to highlighted card if present
   if (highlightDate) {
@@ -394,94 +2363,408 @@ function createTripCard(trip, highlightDate = null) {
   const location = trip.maps_url
     ? `<a href="${escapeHtml(trip.maps_url)}" target="_blank" rel="noopener" class="trip-location">📍 Google Maps</a>`
     : "";
-  const notes = trip.notes
-    ? `<div class="trip-notes">"${trip.notes}"</div>`
+  const notes = !isBlank(trip.notes)
+    ? `<blockquote class="trip-notes">${renderNotes(trip.notes)}</blockquote>`
+    : "";
+  const cuisine = trip.cuisine
+    ? `<span>🌍 ${escapeHtml(trip.cuisine)}</span>`
     : "";
+  const attendeeChips = [
+    ...trip.attendees.map(
+      (name) => `<span class="attendee-chip">${escapeHtml(name)}</span>`,
+    ),
+    ...trip.absent.map(
+      (name) =>
+        `<span class="attendee-chip absent" title="Sent apologies">${escapeHtml(name)}</span>`,
+    ),
+  ].join("");
+  const attendees = attendeeChips
+    ? `<div class="trip-attendees">${attendeeChips}</div>`
+    : "";
+  const rating =
+    trip.averageRating !== null
+      ? `<span title="${escapeHtml(formatRatingBreakdown(trip.rating))}">⭐ ${formatRating(trip.averageRating)}</span>`
+      : "";
+  const cost =
+    trip.cost_per_head !== undefined && trip.cost_per_head !== null
+      ? `<span>💷 ${formatCost(trip.cost_per_head)} pp</span>`
+      : "";
+  const dishes =
+    trip.dishes.length > 0
+      ? `<div class="trip-dishes">🍴 ${trip.dishes
+          .map(
+            (dish) =>
+              escapeHtml(dish.name) +
+              (dish.rating !== null
+                ? ` <span class="dish-rating">${formatRating(dish.rating)}★</span>`
+                : ""),
+          )
+          .join(", ")}</div>`
+      : "";
   const isHighlighted = highlightDate && trip.date === highlightDate;
 
   return `
-        <div class="trip-card${isHighlighted ? " highlighted" : ""}" data-date="${escapeHtml(trip.date || "")}">
-            <div class="trip-restaurant">${escapeHtml(trip.restaurant)}</div>
+        <div class="trip-card${trip.planned ? " planned" : ""}${isHighlighted ? " highlighted" : ""}" data-date="${escapeHtml(trip.date || "")}">
+            <button class="trip-edit" data-key="${trip.key}" aria-label="Edit dinner">✏️</button>
+            <div class="trip-restaurant">${escapeHtml(trip.restaurant)}${trip.planned ? ' <span class="planned-badge">planned</span>' : ""}${trip.draft ? ' <span class="draft-badge">draft</span>' : ""}</div>
             <div class="trip-meta">
                 ${date ? `<span>📅 ${date}</span>` : ""}
+                ${cuisine}
+                ${rating}
+                ${cost}
                 ${location}
             </div>
+            ${dishes}
+            ${attendees}
             ${notes}
         </div>
     `;
 }
 
-// Escape HTML to prevent XSS
-function escapeHtml(text) {
-  const div = document.createElement("div");
-  div.textContent = text;
-  return div.innerHTML;
+// Case-insensitive check for a member in a trip's attendees
+function hasAttendee(trip, name) {
+  const target = name.toLowerCase();
+  return trip.attendees.some((attendee) => attendee.toLowerCase() === target);
 }
 
-// Format date for display
-function formatDate(dateStr) {
-  try {
-    const date = new Date(dateStr);
-    return date.toLocaleDateString("en-US", {
-      year: "numeric",
-      month: "short",
-      day: "numeric",
+// All member names seen in attendees/absent lists (first spelling wins)
+function getMembers() {
+  const members = new Map();
+  tripsData.forEach((trip) => {
+    [...trip.attendees, ...trip.absent].forEach((name) => {
+      const key = name.toLowerCase();
+      if (!members.has(key)) members.set(key, name);
     });
-  } catch {
-    return dateStr;
-  }
+  });
+  return [...members.values()].sort((a, b) => a.localeCompare(b));
 }
 
-// Handle viewport resize (rotation, etc.)
-function setupResizeHandler() {
-  let resizeTimeout;
-  const container = document.getElementById("map-container");
+// Per-member attendance: dinners, countries and consecutive-dinner streaks
+// Only dinners with an attendees list count towards streaks
+function computeMemberStats() {
+  const recorded = tripsData
+    .filter((trip) => trip.attendees.length > 0)
+    .sort((a, b) => a.date.localeCompare(b.date));
 
-  const handleResize = () => {
-    clearTimeout(resizeTimeout);
-    resizeTimeout = setTimeout(() => {
-      const { svg, g, zoom, path, features } = mapState;
-      if (!svg) return;
+  return getMembers()
+    .map((name) => {
+      const attended = recorded.filter((trip) => hasAttendee(trip, name));
+      let streak = 0;
+      let longestStreak = 0;
+      recorded.forEach((trip) => {
+        streak = hasAttendee(trip, name) ? streak + 1 : 0;
+        longestStreak = Math.max(longestStreak, streak);
+      });
 
-      const newWidth = container.clientWidth || 960;
-      const newHeight = container.clientHeight || 500;
+      return {
+        name,
+        dinners: attended.length,
+        countries: new Set(attended.flatMap((trip) => trip.countryIds)).size,
+        currentStreak: streak,
+        longestStreak,
+      };
+    })
+    .sort((a, b) => b.dinners - a.dinners || a.name.localeCompare(b.name));
+}
 
-      // Update SVG viewBox
-      svg.attr("viewBox", `0 0 ${newWidth} ${newHeight}`);
+// Member selector for the "who came" map filter
+function renderMemberSelect() {
+  const select = document.getElementById("member-select");
+  const members = getMembers();
 
-      // Update zoom constraints
-      const zoomConfig = getZoomConfig(newWidth, newHeight);
-      zoom
-        .scaleExtent([zoomConfig.minZoom, MAX_ZOOM])
-        .translateExtent(zoomConfig.translateExtent);
+  select.hidden = members.length === 0;
+  select.innerHTML =
+    '<option value="">Everyone</option>' +
+    members
+      .map(
+        (name) =>
+          `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`,
+      )
+      .join("");
 
-      // Update mapState
-      mapState.width = newWidth;
-      mapState.height = newHeight;
+  // Keep the current filter if that member still exists
+  if (selectedMember && !members.includes(selectedMember)) {
+    selectedMember = null;
+  }
+  select.value = selectedMember || "";
+}
 
-      // Re-fit projection and redraw paths
-      const newPath = createProjection(newWidth, newHeight, {
-        type: "FeatureCollection",
-        features,
-      });
-      mapState.path = newPath;
-
-      // Update all country paths
-      g.selectAll("path.country").attr("d", newPath);
-      g.selectAll("path.country-shadow").attr("d", newPath);
-
-      // Reset to initial view for new orientation
-      const initialTransform = zoomConfig.getInitialTransform();
-      if (initialTransform) {
-        svg.call(
-          zoom.transform,
-          d3.zoomIdentity
-            .translate(initialTransform.x, initialTransform.y)
-            .scale(initialTransform.scale),
-        );
-      } else {
-        svg.call(zoom.transform, d3.zoomIdentity);
-      }
+function handleMemberChange(event) {
+  selectedMember = event.target.value || null;
+  updateMapColours();
+}
+
+// Timeline playback: replay dinners chronologically on the map
+let timelineTimer = null;
+
+// Days since epoch for YYYY-MM-DD strings (and back)
+function dateToDay(dateStr) {
+  const [year, month, day] = dateStr.split("-").map(Number);
+  return Date.UTC(year, month - 1, day) / DAY_MS;
+}
+
+function dayToDate(day) {
+  return new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Today as YYYY-MM-DD in local time
+function getTodayString() {
+  return d3.timeFormat("%Y-%m-%d")(new Date());
+}
+
+function setupTimeline() {
+  const slider = document.getElementById("timeline-slider");
+
+  updateTimelineRange();
+  slider.addEventListener("input", () => {
+    stopTimeline();
+    updateTimeline();
+  });
+  // Once the slider is let go, rather than for every step while dragging
+  slider.addEventListener("change", announceTimeline);
+  document
+    .getElementById("timeline-play")
+    .addEventListener("click", toggleTimeline);
+}
+
+// Fit the slider to the trip dates and show the full map
+function updateTimelineRange() {
+  const timeline = document.getElementById("timeline");
+  const slider = document.getElementById("timeline-slider");
+  const dates = tripsData.map((trip) => trip.date).sort();
+
+  stopTimeline();
+  timeline.hidden = dates.length === 0;
+  if (dates.length === 0) {
+    timelineDate = null;
+    return;
+  }
+
+  slider.min = dateToDay(dates[0]);
+  slider.max = dateToDay(dates[dates.length - 1]);
+  slider.value = slider.max;
+  updateTimeline();
+}
+
+// Apply the slider position to the map and label
+function updateTimeline() {
+  const slider = document.getElementById("timeline-slider");
+  const label = document.getElementById("timeline-label");
+  const day = Number(slider.value);
+  const atEnd = day >= Number(slider.max);
+
+  // Full range shows everything (no filter)
+  timelineDate = atEnd ? null : dayToDate(day);
+  updateMapColours();
+
+  const count = getMapVisitedCountries().size;
+  label.textContent = `${formatDate(dayToDate(day))} · ${count} countr${count === 1 ? "y" : "ies"}`;
+}
+
+function toggleTimeline() {
+  if (timelineTimer) {
+    stopTimeline();
+    announceTimeline();
+  } else {
+    playTimeline();
+  }
+}
+
+function playTimeline() {
+  const slider = document.getElementById("timeline-slider");
+  const min = Number(slider.min);
+  const max = Number(slider.max);
+  const step = Math.max(
+    1,
+    Math.ceil((max - min) / (TIMELINE_PLAY_DURATION / TIMELINE_FRAME)),
+  );
+
+  // Restart from the beginning if already at the end
+  if (Number(slider.value) >= max) slider.value = min;
+
+  timelineTimer = setInterval(() => {
+    slider.value = Math.min(max, Number(slider.value) + step);
+    updateTimeline();
+    if (Number(slider.value) >= max) {
+      stopTimeline();
+      announceTimeline();
+    }
+  }, TIMELINE_FRAME);
+  setPlayButton(true);
+}
+
+function stopTimeline() {
+  clearInterval(timelineTimer);
+  timelineTimer = null;
+  setPlayButton(false);
+}
+
+// The label changes every frame while playing, so it isn't a live region;
+// it's read out when playback stops or the slider is moved instead
+function announceTimeline() {
+  announce(document.getElementById("timeline-label").textContent);
+}
+
+function setPlayButton(playing) {
+  const button = document.getElementById("timeline-play");
+  button.textContent = playing ? "⏸" : "▶";
+  button.setAttribute(
+    "aria-label",
+    playing ? "Pause timeline" : "Play timeline",
+  );
+}
+
+// Escape HTML to prevent XSS (quotes too, for attribute values)
+function escapeHtml(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+}
+
+// Trip notes are a small Markdown subset: **bold**, *italic* or _italic_,
+// `code`, [links](https://…), line breaks and blank lines between paragraphs.
+// The result goes through sanitizeNoteHtml() as well, so only those tags
+// can ever reach the page
+function renderNotes(notes) {
+  const html = String(notes)
+    .trim()
+    .split(/\n\s*\n/)
+    .map((paragraph) => `<p>${renderInlineMarkdown(paragraph)}</p>`)
+    .join("");
+  return sanitizeNoteHtml(html);
+}
+
+function renderInlineMarkdown(text) {
+  // Code spans first, so nothing inside them is formatted, then links
+  return text
+    .split(/(`[^`\n]+`)/)
+    .map((part, index) =>
+      index % 2 === 1
+        ? `<code>${escapeHtml(part.slice(1, -1))}</code>`
+        : part
+            .split(/(\[[^\]\n]+\]\([^)\s]+\))/)
+            .map((piece, pieceIndex) =>
+              pieceIndex % 2 === 1
+                ? renderNoteLink(piece)
+                : formatEmphasis(piece),
+            )
+            .join(""),
+    )
+    .join("")
+    .replace(/\n/g, "<br>");
+}
+
+// [label](url), left as text unless the url is a web link
+function renderNoteLink(markdown) {
+  const [, label, url] = markdown.match(/^\[(.+)\]\((.+)\)$/);
+  if (!isValidUrl(url)) return formatEmphasis(markdown);
+  return `<a href="${escapeHtml(url)}" target="_blank" rel="noopener">${formatEmphasis(label)}</a>`;
+}
+
+// Escape text, then turn **strong**, *em* and _em_ into tags. Underscores
+// inside words (snake_case) are left alone
+function formatEmphasis(text) {
+  return escapeHtml(text)
+    .replace(/\*\*(\S(?:.*?\S)?)\*\*/g, "<strong>$1</strong>")
+    .replace(/\*(\S(?:.*?\S)?)\*/g, "<em>$1</em>")
+    .replace(/(^|[^\w])_(\S(?:.*?\S)?)_(?!\w)/g, "$1<em>$2</em>");
+}
+
+// Tags notes may contain. Anything else is dropped, keeping its text, and
+// the only attribute kept is a link's href
+const NOTE_TAGS = new Set(["P", "BR", "STRONG", "EM", "CODE", "A"]);
+
+// Rebuild HTML from an inert parse, keeping only NOTE_TAGS. Links must be
+// web links and always open in a new tab with rel="noopener"
+function sanitizeNoteHtml(html) {
+  const template = document.createElement("template");
+  template.innerHTML = html;
+
+  const clean = (node) =>
+    [...node.childNodes]
+      .map((child) => {
+        if (child.nodeType === Node.TEXT_NODE) {
+          return escapeHtml(child.textContent);
+        }
+        if (child.nodeType !== Node.ELEMENT_NODE) return "";
+        const inner = clean(child);
+        const tag = child.tagName;
+        if (!NOTE_TAGS.has(tag)) return inner;
+        if (tag === "BR") return "<br>";
+        if (tag === "A") {
+          const href = child.getAttribute("href");
+          return isValidUrl(href)
+            ? `<a href="${escapeHtml(href)}" target="_blank" rel="noopener">${inner}</a>`
+            : inner;
+        }
+        return `<${tag.toLowerCase()}>${inner}</${tag.toLowerCase()}>`;
+      })
+      .join("");
+
+  return clean(template.content);
+}
+
+// "4.5" / "4" for ratings
+function formatRating(value) {
+  return String(Math.round(value * 10) / 10);
+}
+
+// Tooltip text for per-attendee ratings ("Tom 4 · Sam 5")
+function formatRatingBreakdown(rating) {
+  if (typeof rating !== "object") return "";
+  return Object.entries(rating)
+    .map(([name, value]) => `${name} ${formatRating(value)}`)
+    .join(" · ");
+}
+
+// Format spend for display
+function formatCost(amount) {
+  return amount.toLocaleString(clubConfig.locale, {
+    style: "currency",
+    currency: clubConfig.currency,
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  });
+}
+
+// Format date for display. "YYYY-MM-DD" parses as midnight UTC, so it's
+// shown in UTC too, or it would be the day before west of Greenwich
+function formatDate(dateStr) {
+  try {
+    const date = new Date(dateStr);
+    return date.toLocaleDateString(clubConfig.locale, {
+      year: "numeric",
+      month: "short",
+      day: "numeric",
+      timeZone: "UTC",
+    });
+  } catch {
+    return dateStr;
+  }
+}
+
+// Handle viewport resize (rotation, etc.)
+function setupResizeHandler() {
+  let resizeTimeout;
+  const container = document.getElementById("map-container");
+
+  const handleResize = () => {
+    clearTimeout(resizeTimeout);
+    resizeTimeout = setTimeout(() => {
+      const { svg } = mapState;
+      if (!svg) return;
+
+      const newWidth = container.clientWidth || 960;
+      const newHeight = container.clientHeight || 500;
+      if (newWidth === mapState.width && newHeight === mapState.height) return;
+
+      // Update SVG viewBox
+      svg.attr("viewBox", `0 0 ${newWidth} ${newHeight}`);
+
+      // Update mapState, then re-fit projection and redraw paths
+      mapState.width = newWidth;
+      mapState.height = newHeight;
+      refitMap();
     }, 150);
   };
 
@@ -500,9 +2783,85 @@ function closeSidebar() {
 
   sidebar.classList.remove("open");
   overlay.classList.remove("visible");
+  sidebarState = { countryId: null, tripDate: null };
+  scheduleRouteSync();
 
   // Remove active state from country
-  d3.selectAll("path.country").classed("active", false);
+  setActiveCountry(null);
+  closeDialog(sidebar);
+}
+
+// Click handler that also fires on Enter/Space, for non-button elements
+function onActivate(element, handler) {
+  element.addEventListener("click", handler);
+  element.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      handler(e);
+    }
+  });
+}
+
+// Dialogs (sidebar and modals) keep keyboard focus inside while open and
+// hand it back to whatever had it before when closed
+let dialogStack = []; // [{ element, returnFocus }], topmost last
+
+function openDialog(element, initialFocus = null) {
+  if (!dialogStack.some((dialog) => dialog.element === element)) {
+    dialogStack.push({ element, returnFocus: document.activeElement });
+  }
+  (initialFocus || getFocusable(element)[0] || element).focus();
+}
+
+function closeDialog(element) {
+  const index = dialogStack.findIndex((dialog) => dialog.element === element);
+  if (index === -1) return;
+  const [{ returnFocus }] = dialogStack.splice(index, 1);
+  const active = document.activeElement;
+  if (!active || active === document.body || element.contains(active)) {
+    returnFocus?.focus?.();
+  }
+}
+
+function getFocusable(element) {
+  return [
+    ...element.querySelectorAll(
+      'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])',
+    ),
+  ].filter((el) => !el.closest("[hidden]"));
+}
+
+// Wrap Tab/Shift+Tab inside the topmost dialog
+function handleDialogTab(event) {
+  const top = dialogStack[dialogStack.length - 1];
+  if (event.key !== "Tab" || !top) return;
+
+  const focusable = getFocusable(top.element);
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+  const active = document.activeElement;
+  if (!first) {
+    event.preventDefault();
+  } else if (!top.element.contains(active)) {
+    event.preventDefault();
+    first.focus();
+  } else if (event.shiftKey && active === first) {
+    event.preventDefault();
+    last.focus();
+  } else if (!event.shiftKey && active === last) {
+    event.preventDefault();
+    first.focus();
+  }
+}
+
+// Read a message out through the live region
+function announce(message) {
+  const region = document.getElementById("announcer");
+  // Clearing first makes a repeat of the same message announce again
+  region.textContent = "";
+  setTimeout(() => {
+    region.textContent = message;
+  }, 50);
 }
 
 // Setup event listeners
@@ -515,16 +2874,150 @@ function setupEventListeners() {
     .addEventListener("click", closeSidebar);
   document
     .getElementById("discover-btn")
-    .addEventListener("click", discoverCountry);
+    .addEventListener("click", () => toggleDiscoverMenu());
+  document.getElementById("discover-menu").addEventListener("click", (e) => {
+    const mode = e.target.closest("[data-mode]")?.dataset.mode;
+    if (!mode) return;
+    toggleDiscoverMenu(false);
+    document.getElementById("discover-btn").focus();
+    discoverCountry(mode);
+  });
+  document.addEventListener("click", (e) => {
+    if (!e.target.closest(".fab-group")) toggleDiscoverMenu(false);
+  });
+  document
+    .getElementById("club-select")
+    .addEventListener("change", handleClubChange);
+  document
+    .getElementById("compare-select")
+    .addEventListener("change", handleCompareChange);
+  document
+    .getElementById("member-select")
+    .addEventListener("change", handleMemberChange);
+  document
+    .getElementById("colour-mode")
+    .addEventListener("change", handleColourModeChange);
+  document
+    .getElementById("projection-select")
+    .addEventListener("change", handleProjectionChange);
+  document
+    .getElementById("label-mode")
+    .addEventListener("change", handleLabelModeChange);
+  document
+    .getElementById("renderer-select")
+    .addEventListener("change", handleRendererChange);
+  document
+    .getElementById("next-dinner")
+    .addEventListener("click", openNextDinner);
 
+  document.addEventListener("keydown", handleDialogTab);
   document.addEventListener("keydown", (e) => {
+    if (isSearchShortcut(e)) {
+      e.preventDefault();
+      openSearch();
+      return;
+    }
     if (e.key === "Escape") {
+      closeSearch();
       closeSidebar();
       closeStatsModal();
       closeCalendarModal();
+      closeProblemsModal();
+      closeTripEditor();
+      closeExportModal();
+      closeImportModal();
+      toggleDiscoverMenu(false);
     }
   });
 
+  // Search palette
+  document.getElementById("search-btn").addEventListener("click", openSearch);
+  document
+    .getElementById("search-input")
+    .addEventListener("input", renderSearchResults);
+  document
+    .getElementById("search-input")
+    .addEventListener("keydown", handleSearchKeydown);
+  document.getElementById("search-results").addEventListener("click", (e) => {
+    const item = e.target.closest(".search-result");
+    if (item) selectSearchResult(Number(item.dataset.index));
+  });
+  document.getElementById("search-overlay").addEventListener("click", (e) => {
+    if (e.target.id === "search-overlay") closeSearch();
+  });
+
+  // Export modal
+  document
+    .getElementById("export-btn")
+    .addEventListener("click", openExportModal);
+  document
+    .getElementById("export-close")
+    .addEventListener("click", closeExportModal);
+  document.getElementById("export-overlay").addEventListener("click", (e) => {
+    if (e.target.id === "export-overlay") closeExportModal();
+  });
+  document
+    .getElementById("poster-svg")
+    .addEventListener("click", downloadPosterSvg);
+  document
+    .getElementById("poster-png")
+    .addEventListener("click", downloadPosterPng);
+  document
+    .getElementById("export-csv")
+    .addEventListener("click", downloadTripsCsv);
+  document
+    .getElementById("export-ics")
+    .addEventListener("click", downloadTripsIcs);
+  document
+    .getElementById("export-geojson")
+    .addEventListener("click", downloadVisitedGeoJson);
+
+  // Import
+  document
+    .getElementById("import-file")
+    .addEventListener("change", handleImportFile);
+  document
+    .getElementById("import-close")
+    .addEventListener("click", closeImportModal);
+  document.getElementById("import-overlay").addEventListener("click", (e) => {
+    if (e.target.id === "import-overlay") closeImportModal();
+  });
+  document
+    .getElementById("import-mapping")
+    .addEventListener("change", handleImportMappingChange);
+  document
+    .getElementById("import-rows")
+    .addEventListener("change", handleImportRowChange);
+  document
+    .getElementById("import-confirm")
+    .addEventListener("click", confirmImport);
+
+  // Trip editor (add/edit buttons live in the sidebar)
+  document.getElementById("trips-list").addEventListener("click", (e) => {
+    const addButton = e.target.closest(".add-trip-btn");
+    const editButton = e.target.closest(".trip-edit");
+    if (addButton) openTripEditor(null, addButton.dataset.country);
+    if (editButton) openTripEditor(editButton.dataset.key);
+  });
+  document
+    .getElementById("editor-close")
+    .addEventListener("click", closeTripEditor);
+  document.getElementById("editor-overlay").addEventListener("click", (e) => {
+    if (e.target.id === "editor-overlay") closeTripEditor();
+  });
+  document
+    .getElementById("trip-form")
+    .addEventListener("submit", handleTripFormSubmit);
+  document
+    .getElementById("trip-delete")
+    .addEventListener("click", handleTripDelete);
+  document
+    .getElementById("drafts-download")
+    .addEventListener("click", downloadTripsYaml);
+  document
+    .getElementById("drafts-discard")
+    .addEventListener("click", discardDrafts);
+
   // Stats modal
   document
     .getElementById("stats-btn")
@@ -546,6 +3039,22 @@ function setupEventListeners() {
   document.getElementById("calendar-overlay").addEventListener("click", (e) => {
     if (e.target.id === "calendar-overlay") closeCalendarModal();
   });
+  document.querySelectorAll(".calendar-view").forEach((button) => {
+    button.addEventListener("click", () =>
+      setCalendarView(button.dataset.view),
+    );
+  });
+
+  // Data problems modal
+  document
+    .getElementById("problems-btn")
+    .addEventListener("click", openProblemsModal);
+  document
+    .getElementById("problems-close")
+    .addEventListener("click", closeProblemsModal);
+  document.getElementById("problems-overlay").addEventListener("click", (e) => {
+    if (e.target.id === "problems-overlay") closeProblemsModal();
+  });
 }
 
 // Stats modal
@@ -555,15 +3064,17 @@ function openStatsModal() {
 
   content.innerHTML = buildStatsContent();
   overlay.classList.add("visible");
+  scheduleRouteSync();
+  openDialog(document.getElementById("stats-modal"));
+  drawTrendCharts(content);
 
   // Add click handlers to carousel items
   content.querySelectorAll(".carousel-item").forEach((item) => {
-    item.addEventListener("click", () => {
-      const countryName = item.dataset.country;
+    onActivate(item, () => {
       const countryId = item.dataset.countryId;
-      if (countryName) {
+      if (countryId) {
         closeStatsModal();
-        openCountryFromCarousel(countryName, countryId);
+        openCountryFromCarousel(countryId, item.dataset.tripDate);
       }
     });
   });
@@ -571,176 +3082,452 @@ function openStatsModal() {
 
 function closeStatsModal() {
   document.getElementById("stats-overlay").classList.remove("visible");
+  scheduleRouteSync();
+  closeDialog(document.getElementById("stats-modal"));
 }
 
 // Calendar modal
+let calendarView = "months"; // "months" or "weeks", see setCalendarView()
+let calendarPeriods = new Map(); // Cell key -> { label, trips } for the cells shown
+
 function openCalendarModal() {
-  const overlay = document.getElementById("calendar-overlay");
-  const content = document.getElementById("calendar-content");
+  renderCalendarContent();
+  document.getElementById("calendar-overlay").classList.add("visible");
+  scheduleRouteSync();
+  openDialog(document.getElementById("calendar-modal"));
+}
 
+function renderCalendarContent() {
+  const content = document.getElementById("calendar-content");
   content.innerHTML = buildCalendarContent();
-  overlay.classList.add("visible");
 
-  // Add click handlers to active months
-  content.querySelectorAll(".streak-month.active").forEach((cell) => {
-    cell.addEventListener("click", () => {
-      const tripDate = cell.dataset.tripDate;
-      const tripCountry = cell.dataset.tripCountry;
-      if (tripCountry) {
-        closeCalendarModal();
-        openCountryFromCalendar(tripCountry, tripDate);
-      }
-    });
+  document.querySelectorAll(".calendar-view").forEach((button) => {
+    button.setAttribute(
+      "aria-pressed",
+      String(button.dataset.view === calendarView),
+    );
   });
-}
 
-function closeCalendarModal() {
-  document.getElementById("calendar-overlay").classList.remove("visible");
+  content.querySelectorAll(".streak-month[data-period]").forEach((cell) => {
+    onActivate(cell, () => openCalendarPeriod(cell));
+  });
 }
 
-function buildCalendarContent() {
-  const monthNames = [
-    "J",
-    "F",
-    "M",
-    "A",
-    "M",
-    "J",
-    "J",
-    "A",
-    "S",
-    "O",
-    "N",
-    "D",
-  ];
-
-  // Group trips by year and month (store first trip for each month)
-  const tripsByYearMonth = {};
-  tripsData.forEach((trip) => {
-    if (!trip.date) return;
-    const date = new Date(trip.date);
-    const year = date.getFullYear();
-    const month = date.getMonth();
-    const key = `${year}-${month}`;
-    if (!tripsByYearMonth[key]) {
-      tripsByYearMonth[key] = trip;
-    }
-  });
+function setCalendarView(view) {
+  calendarView = view;
+  renderCalendarContent();
+}
 
-  // Get year range
-  const years = [
-    ...new Set(tripsData.map((t) => new Date(t.date).getFullYear())),
-  ].sort();
-  if (years.length === 0) {
-    return '<div class="empty-state">No trips recorded yet</div>';
+// Open a cell's dinner, or list them to pick from when it has several
+function openCalendarPeriod(cell) {
+  const { label, trips } = calendarPeriods.get(cell.dataset.period);
+  if (trips.length === 1) {
+    openCalendarTrip(trips[0]);
+    return;
   }
 
-  const minYear = years[0];
-  const maxYear = Math.max(years[years.length - 1], new Date().getFullYear());
+  document
+    .querySelectorAll(".streak-month.selected")
+    .forEach((other) => other.classList.remove("selected"));
+  cell.classList.add("selected");
 
-  let html = "";
-  let totalMonths = 0;
-  let activeMonths = 0;
+  const picker = document.getElementById("calendar-picker");
+  const items = trips
+    .map(
+      (trip, index) => `
+        <li>
+          <button type="button" class="calendar-picker-item" data-index="${index}">
+            <span class="calendar-picker-restaurant">${getFlag(trip.countryIds[0] || "")} ${escapeHtml(trip.restaurant)}</span>
+            <span class="calendar-picker-date">${trip.planned ? "Planned · " : ""}${formatDate(trip.date)}</span>
+          </button>
+        </li>
+      `,
+    )
+    .join("");
+  picker.innerHTML = `
+    <div class="calendar-picker-title">${trips.length} dinners in ${escapeHtml(label)}</div>
+    <ul class="calendar-picker-list">${items}</ul>
+  `;
+  picker.hidden = false;
 
-  // Month header row
-  html += `<div class="streak-header"><div class="streak-year-label"></div><div class="streak-months">`;
-  monthNames.forEach((m) => {
-    html += `<div class="streak-month-header">${m}</div>`;
+  picker.querySelectorAll(".calendar-picker-item").forEach((button) => {
+    button.addEventListener("click", () =>
+      openCalendarTrip(trips[button.dataset.index]),
+    );
   });
-  html += `</div></div>`;
+  picker.querySelector(".calendar-picker-item").focus();
+}
 
-  // Build year rows (most recent first)
-  for (let year = maxYear; year >= minYear; year--) {
-    html += `<div class="streak-year">`;
-    html += `<div class="streak-year-label">${year}</div>`;
-    html += `<div class="streak-months">`;
+function openCalendarTrip(trip) {
+  const countryId = trip.countryIds[0];
+  if (!countryId) return;
+  closeCalendarModal();
+  openCountryFromCalendar(countryId, trip.date);
+}
 
-    for (let month = 0; month < 12; month++) {
-      const key = `${year}-${month}`;
-      const trip = tripsByYearMonth[key];
-      const isFuture =
-        year === new Date().getFullYear() && month > new Date().getMonth();
+function closeCalendarModal() {
+  document.getElementById("calendar-overlay").classList.remove("visible");
+  scheduleRouteSync();
+  closeDialog(document.getElementById("calendar-modal"));
+}
 
-      if (!isFuture) {
-        totalMonths++;
-        if (trip) activeMonths++;
-      }
+// Data problems badge and modal
+function renderDataProblems() {
+  const button = document.getElementById("problems-btn");
+  const count = document.getElementById("problems-count");
 
-      if (trip) {
-        const tripDate = trip.date || "";
-        const tripCountry = trip.country || "";
-        html += `<div class="streak-month active" data-trip-date="${escapeHtml(tripDate)}" data-trip-country="${escapeHtml(tripCountry)}"></div>`;
-      } else {
-        html += `<div class="streak-month${isFuture ? " future" : ""}"></div>`;
-      }
-    }
+  button.hidden = dataProblems.length === 0;
+  count.textContent = dataProblems.length;
+}
 
-    html += `</div></div>`;
-  }
+// "Next dinner in N days" card on the map
+function renderNextDinner() {
+  const card = document.getElementById("next-dinner");
+  const today = getTodayString();
+  const next = plannedTrips.find((trip) => trip.date >= today);
 
-  html += `<div class="streak-summary">${activeMonths}/${totalMonths} months (${Math.round((activeMonths / totalMonths) * 100)}%)</div>`;
+  card.hidden = !next;
+  if (!next) return;
 
-  return html;
+  const days = dateToDay(next.date) - dateToDay(today);
+  const when =
+    days === 0 ? "today" : days === 1 ? "tomorrow" : `in ${days} days`;
+  const countryId = next.countryIds[0] || "";
+  const place = next.cuisine || countryIdToName[countryId] || "";
+  card.dataset.countryId = countryId;
+  card.dataset.tripDate = next.date;
+  card.innerHTML = `
+    <span class="next-dinner-when">Next dinner ${when}</span>
+    <span class="next-dinner-what">${getFlag(countryId)} ${escapeHtml(next.restaurant)}${place ? ` · ${escapeHtml(place)}` : ""}</span>
+  `;
 }
 
-function openCountryFromCalendar(countryName, tripDate) {
-  const countryId = countryNameToId[countryName.toLowerCase()];
+function openNextDinner() {
+  const { countryId, tripDate } =
+    document.getElementById("next-dinner").dataset;
+  flyToCountry(countryId, tripDate);
+}
 
-  // Remove previous active state and set new one
-  d3.selectAll("path.country").classed("active", false);
-  if (countryId) {
-    d3.select(`path[data-id="${countryId}"]`).classed("active", true).raise();
-  }
+function openProblemsModal() {
+  const overlay = document.getElementById("problems-overlay");
+  const content = document.getElementById("problems-content");
 
-  // Get trips and show sidebar
-  const displayName = countryIdToName[countryId] || countryName;
-  const trips = getTripsForCountry(displayName);
-  showSidebar(displayName, countryId, trips, tripDate);
+  content.innerHTML = buildProblemsContent();
+  overlay.classList.add("visible");
+  openDialog(document.getElementById("problems-modal"));
 }
 
-function openCountryFromCarousel(countryName, countryId) {
-  // Remove previous active state and set new one
-  d3.selectAll("path.country").classed("active", false);
-  if (countryId) {
-    d3.select(`path[data-id="${countryId}"]`).classed("active", true).raise();
+function closeProblemsModal() {
+  document.getElementById("problems-overlay").classList.remove("visible");
+  closeDialog(document.getElementById("problems-modal"));
+}
+
+function buildProblemsContent() {
+  if (dataProblems.length === 0) {
+    return '<div class="empty-state">No problems found</div>';
   }
 
-  // Get trips and show sidebar
-  const trips = getTripsForCountry(countryName);
-  showSidebar(countryName, countryId, trips);
+  const items = dataProblems
+    .map((problem) => {
+      const entry = problem.entry
+        ? `<span class="problem-entry">#${problem.entry}</span>`
+        : "";
+      const label = problem.label
+        ? `<span class="problem-label">${escapeHtml(problem.label)}</span>`
+        : "";
+      const suggestion = problem.suggestion
+        ? `<div class="problem-suggestion">Did you mean <strong>${escapeHtml(problem.suggestion)}</strong>?</div>`
+        : "";
+      const skipped = problem.skipped
+        ? '<span class="problem-skipped">skipped</span>'
+        : "";
+
+      return `
+        <li class="problem">
+          <div class="problem-header">${entry}${label}${skipped}</div>
+          <div class="problem-reason">${escapeHtml(problem.reason)}</div>
+          ${suggestion}
+        </li>
+      `;
+    })
+    .join("");
+
+  return `
+    <p class="problems-intro">Entries in the data files that need fixing:</p>
+    <ul class="problem-list">${items}</ul>
+  `;
 }
 
-function buildStatsContent() {
-  const features = mapState.features || [];
-  const totalCountries = features.length;
-  const visitedCount = visitedCountries.size;
-  const percentage =
-    totalCountries > 0 ? ((visitedCount / totalCountries) * 100).toFixed(1) : 0;
+// "J", "F", "M", … in the club's locale
+function getMonthInitials() {
+  return d3.range(12).map((month) =>
+    new Date(2000, month).toLocaleDateString(clubConfig.locale, {
+      month: "narrow",
+    }),
+  );
+}
 
-  // Continent breakdown
-  const continentStats = {};
-  const continentTotals = {};
+function buildCalendarContent() {
+  // Dates are checked on load, but skip any that slipped through so they
+  // can't turn into NaN years
+  const trips = [...tripsData, ...plannedTrips]
+    .filter((trip) => isValidDateString(trip.date))
+    .sort((a, b) => d3.ascending(a.date, b.date));
+  if (trips.length === 0) {
+    return '<div class="empty-state">No trips recorded yet</div>';
+  }
 
-  features.forEach((f) => {
-    const continent = countryToContinent[f.id] || "Other";
-    continentTotals[continent] = (continentTotals[continent] || 0) + 1;
+  const today = getTodayString();
+  const minYear = Number(trips[0].date.slice(0, 4));
+  const maxYear = Math.max(
+    Number(trips[trips.length - 1].date.slice(0, 4)),
+    Number(today.slice(0, 4)),
+  );
+  const years = d3.range(maxYear, minYear - 1, -1); // Most recent first
 
-    const name = f.properties.name?.toLowerCase();
-    if (visitedCountries.has(name)) {
-      continentStats[continent] = (continentStats[continent] || 0) + 1;
-    }
-  });
+  calendarPeriods = new Map();
+  const grid =
+    calendarView === "weeks"
+      ? buildWeekGrid(trips, years, today)
+      : buildMonthGrid(trips, years, today);
 
-  // Most visited countries (by trip count)
-  const tripCounts = {};
-  tripsData.forEach((trip) => {
-    const country = trip.country.toLowerCase();
-    tripCounts[country] = (tripCounts[country] || 0) + 1;
-  });
+  return `
+    ${grid}
+    <div class="calendar-picker" id="calendar-picker" hidden></div>
+    ${buildStreakSummary(today)}
+  `;
+}
 
-  const mostVisited = Object.entries(tripCounts)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 10);
+// One row of 12 months per year
+function buildMonthGrid(trips, years, today) {
+  const byMonth = d3.group(trips, (trip) => trip.date.slice(0, 7));
+  const thisMonth = today.slice(0, 7);
+
+  let html = `<div class="streak-header"><div class="streak-year-label"></div><div class="streak-months">`;
+  getMonthInitials().forEach((m) => {
+    html += `<div class="streak-month-header">${m}</div>`;
+  });
+  html += `</div></div>`;
+
+  years.forEach((year) => {
+    html += `<div class="streak-year">`;
+    html += `<div class="streak-year-label">${year}</div>`;
+    html += `<div class="streak-months">`;
+
+    for (let month = 1; month <= 12; month++) {
+      const key = `${year}-${String(month).padStart(2, "0")}`;
+      html += buildCalendarCell(key, byMonth.get(key), {
+        label: new Date(year, month - 1).toLocaleDateString(clubConfig.locale, {
+          month: "long",
+          year: "numeric",
+        }),
+        future: key > thisMonth,
+        showCount: true,
+      });
+    }
+
+    html += `</div></div>`;
+  });
+
+  return html;
+}
+
+// Week of the year, 0–53: week 0 runs from 1 January until the club's
+// first day of the week
+function getWeekOfYear(dateStr) {
+  const date = d3.utcParse("%Y-%m-%d")(dateStr);
+  return WEEK_STARTS[clubConfig.weekStart].count(d3.utcYear(date), date);
+}
+
+// Heatmap with one row of weeks per year, darker for weeks with more dinners
+function buildWeekGrid(trips, years, today) {
+  const byWeek = d3.group(
+    trips,
+    (trip) => `${trip.date.slice(0, 4)}-W${getWeekOfYear(trip.date)}`,
+  );
+  const format = d3.utcFormat("%Y-%m-%d");
+
+  let html = "";
+  years.forEach((year) => {
+    const yearStart = new Date(Date.UTC(year, 0, 1));
+    const weekStarts = WEEK_STARTS[clubConfig.weekStart].range(
+      yearStart,
+      new Date(Date.UTC(year + 1, 0, 1)),
+    );
+    if (+weekStarts[0] !== +yearStart) weekStarts.unshift(yearStart);
+
+    html += `<div class="streak-year">`;
+    html += `<div class="streak-year-label">${year}</div>`;
+    html += `<div class="streak-weeks">`;
+
+    // Month initials over the weeks they start in. 1 January falls on a
+    // different weekday each year, so every year has its own
+    getMonthInitials().forEach((m, index) => {
+      const first = `${year}-${String(index + 1).padStart(2, "0")}-01`;
+      html += `<div class="streak-month-header" style="grid-column: ${getWeekOfYear(first) + 1} / span 4">${m}</div>`;
+    });
+
+    weekStarts.forEach((start, week) => {
+      const startDate = format(start);
+      html += buildCalendarCell(
+        `${year}-W${week}`,
+        byWeek.get(`${year}-W${week}`),
+        {
+          label: `the week of ${formatDate(startDate)}`,
+          future: startDate > today,
+        },
+      );
+    });
+
+    html += `</div></div>`;
+  });
+
+  return html;
+}
+
+// A month or week cell. Cells with dinners are remembered in calendarPeriods
+// so activating one can open its dinner, or a picker when there are several
+function buildCalendarCell(key, trips = [], { label, future, showCount }) {
+  if (trips.length === 0) {
+    return `<div class="streak-month${future ? " future" : ""}"></div>`;
+  }
+
+  calendarPeriods.set(key, { label, trips });
+  const state = trips.some((trip) => !trip.planned) ? "active" : "planned";
+  const description =
+    trips.length === 1
+      ? `${trips[0].planned ? "Planned: " : ""}${trips[0].restaurant}, ${formatDate(trips[0].date)}`
+      : `${trips.length} dinners in ${label}`;
+  const count = showCount && trips.length > 1 ? trips.length : "";
+
+  return `<div class="streak-month ${state}" data-period="${key}" data-count="${Math.min(trips.length, 3)}" role="button" tabindex="0" title="${escapeHtml(description)}" aria-label="${escapeHtml(description)}">${count}</div>`;
+}
+
+// Longest run of consecutive months with a dinner, and the run leading up to
+// now. The current run may end last month, as this month's dinner may still
+// be to come
+function getMonthStreaks(months, thisMonth) {
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  [...months]
+    .sort((a, b) => a - b)
+    .forEach((month) => {
+      run = month === previous + 1 ? run + 1 : 1;
+      longest = Math.max(longest, run);
+      previous = month;
+    });
+
+  let current = 0;
+  let month = months.has(thisMonth) ? thisMonth : thisMonth - 1;
+  while (months.has(month)) {
+    current++;
+    month--;
+  }
+
+  return { current, longest };
+}
+
+function buildStreakSummary(today) {
+  // Months counted from the first dinner's
+  const monthIndex = (dateStr) =>
+    Number(dateStr.slice(0, 4)) * 12 + Number(dateStr.slice(5, 7)) - 1;
+  const thisMonth = monthIndex(today);
+  const months = new Set(
+    tripsData
+      .filter((trip) => isValidDateString(trip.date))
+      .map((trip) => monthIndex(trip.date))
+      .filter((month) => month <= thisMonth),
+  );
+  const totalMonths = months.size > 0 ? thisMonth - Math.min(...months) + 1 : 0;
+  const percent = totalMonths
+    ? Math.round((months.size / totalMonths) * 100)
+    : 0;
+  const { current, longest } = getMonthStreaks(months, thisMonth);
+  const formatMonths = (count) => `${count} month${count === 1 ? "" : "s"}`;
+
+  return `
+    <div class="streak-summary">
+      <div>${months.size}/${totalMonths} months (${percent}%)</div>
+      <div class="streak-runs">Current streak: <strong>${formatMonths(current)}</strong> · Longest: <strong>${formatMonths(longest)}</strong></div>
+    </div>
+  `;
+}
+
+function openCountryFromCalendar(countryId, tripDate) {
+  // Remove previous active state and set new one
+  setActiveCountry(countryId);
+
+  // Get trips and show sidebar
+  const trips = getTripsForCountry(countryId);
+  showSidebar(countryIdToName[countryId], countryId, trips, tripDate);
+}
+
+function openCountryFromCarousel(countryId, tripDate = null) {
+  // Remove previous active state and set new one
+  setActiveCountry(countryId);
+
+  // Get trips and show sidebar
+  const trips = getTripsForCountry(countryId);
+  showSidebar(countryIdToName[countryId], countryId, trips, tripDate);
+}
+
+// Zoom to a country and open its sidebar, as if it had been clicked
+function flyToCountry(countryId, tripDate = null) {
+  const feature = mapState.features?.find((f) => f.id === countryId);
+  if (!feature) return;
+  zoomToCountry(feature);
+  openCountryFromCalendar(countryId, tripDate);
+}
+
+// "X/Y countries visited" figures for a set of visited ids
+function getVisitedSummary(visited = visitedCountries) {
+  const totalCountries = (mapState.features || []).length;
+  const visitedCount = visited.size;
+  const percentage =
+    totalCountries > 0 ? ((visitedCount / totalCountries) * 100).toFixed(1) : 0;
+  return { visitedCount, totalCountries, percentage };
+}
+
+function buildStatsContent() {
+  const features = mapState.features || [];
+  const { visitedCount, totalCountries, percentage } = getVisitedSummary();
+
+  // Continent breakdown
+  const continentStats = {};
+  const continentTotals = {};
+
+  features.forEach((f) => {
+    const continent = countryToContinent[f.id] || "Other";
+    continentTotals[continent] = (continentTotals[continent] || 0) + 1;
+
+    if (visitedCountries.has(f.id)) {
+      continentStats[continent] = (continentStats[continent] || 0) + 1;
+    }
+  });
+
+  // Most visited countries (by trip count)
+  // Multi-country trips give each country partial credit
+  const tripCounts = {};
+  const soloVisited = new Set();
+  const cuisineCounts = {};
+  tripsData.forEach((trip) => {
+    const credit = 1 / trip.countryIds.length;
+    trip.countryIds.forEach((id) => {
+      tripCounts[id] = (tripCounts[id] || 0) + credit;
+    });
+    if (trip.countryIds.length === 1) soloVisited.add(trip.countryIds[0]);
+    if (trip.cuisine) {
+      cuisineCounts[trip.cuisine] = (cuisineCounts[trip.cuisine] || 0) + 1;
+    }
+  });
+  const sharedOnlyCount = [...visitedCountries].filter(
+    (id) => !soloVisited.has(id),
+  ).length;
+
+  const mostVisited = Object.entries(tripCounts)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 10);
 
   // Build HTML
   let html = `
@@ -748,9 +3535,12 @@ function buildStatsContent() {
       <div class="stats-big-number">${visitedCount}/${totalCountries}</div>
       <div class="stats-label">countries visited</div>
       <div class="stats-percentage">${percentage}%</div>
+      ${sharedOnlyCount > 0 ? `<div class="stats-label">${sharedOnlyCount} only via regional/fusion dinners</div>` : ""}
     </div>
   `;
 
+  html += buildCompareStats();
+
   // Continent breakdown
   const continentOrder = [
     "Europe",
@@ -780,50 +3570,2120 @@ function buildStatsContent() {
   if (mostVisited.length > 0) {
     html += `<div class="stats-section"><h3>Most Visited</h3><div class="carousel">`;
 
-    mostVisited.forEach(([country, count]) => {
-      const countryId = countryNameToId[country];
-      const displayName = countryIdToName[countryId] || country;
-      const flag = countryId ? getFlag(countryId) : "";
+    mostVisited.forEach(([countryId, count]) => {
+      const displayName = countryIdToName[countryId];
+      const flag = getFlag(countryId);
 
       html += `
-        <div class="carousel-item" data-country="${escapeHtml(displayName)}" data-country-id="${countryId || ""}">
+        <div class="carousel-item" data-country-id="${countryId}" role="button" tabindex="0">
           <div class="carousel-flag">${flag}</div>
           <div class="carousel-country">${escapeHtml(displayName)}</div>
-          <div class="carousel-count">${count} visit${count > 1 ? "s" : ""}</div>
+          <div class="carousel-count">${formatVisitCount(count)}</div>
+        </div>
+      `;
+    });
+
+    html += `</div></div>`;
+  }
+
+  html += buildTrendStats();
+  html += buildDishHallOfFame();
+  html += buildTopRatedStats();
+  html += buildSpendStats();
+
+  // Per-member attendance
+  const memberStats = computeMemberStats();
+  if (memberStats.length > 0) {
+    html += `<div class="stats-section"><h3>Members</h3><div class="continent-list">`;
+    memberStats.forEach((member) => {
+      html += `
+        <div class="continent-row">
+          <span class="continent-name">${escapeHtml(member.name)}</span>
+          <span class="continent-stat">${member.dinners} dinner${member.dinners === 1 ? "" : "s"} · ${member.countries} countr${member.countries === 1 ? "y" : "ies"} · streak ${member.currentStreak} (best ${member.longestStreak})</span>
         </div>
       `;
     });
+    html += `</div></div>`;
+  }
 
+  // Regional and fusion dinners (tallied separately)
+  const cuisineRows = Object.entries(cuisineCounts).sort((a, b) => b[1] - a[1]);
+  if (cuisineRows.length > 0) {
+    html += `<div class="stats-section"><h3>Regional &amp; Fusion</h3><div class="continent-list">`;
+    cuisineRows.forEach(([cuisine, count]) => {
+      html += `
+        <div class="continent-row">
+          <span class="continent-name">${escapeHtml(cuisine)}</span>
+          <span class="continent-stat">${count} dinner${count === 1 ? "" : "s"}</span>
+        </div>
+      `;
+    });
     html += `</div></div>`;
   }
 
   return html;
 }
 
-// Discover a random unvisited country
-function discoverCountry() {
+// Compare mode: the two clubs side by side, and where only one has been
+function buildCompareStats() {
+  if (!compareClub) return "";
+  const summarise = (trips) => {
+    const countries = new Set(trips.flatMap((trip) => trip.countryIds));
+    return {
+      dinners: trips.length,
+      countries,
+      continents: new Set(
+        [...countries].map((id) => countryToContinent[id]).filter(Boolean),
+      ).size,
+      since: d3.min(trips, (trip) => trip.date),
+    };
+  };
+  const ours = summarise(tripsData);
+  const theirs = summarise(compareClub.trips);
+  const shared = [...ours.countries].filter((id) => theirs.countries.has(id));
+  const rows = [
+    ["Dinners", ours.dinners, theirs.dinners],
+    ["Countries", ours.countries.size, theirs.countries.size],
+    ["Continents", ours.continents, theirs.continents],
+    [
+      "First dinner",
+      ours.since ? formatDate(ours.since) : "–",
+      theirs.since ? formatDate(theirs.since) : "–",
+    ],
+  ];
+  const flags = (from, other) =>
+    [...from.countries]
+      .filter((id) => !other.countries.has(id))
+      .map(
+        (id) =>
+          `<span title="${escapeHtml(countryIdToName[id] || id)}">${getFlag(id) || escapeHtml(id)}</span>`,
+      )
+      .join(" ") || "None";
+
+  return `
+    <div class="stats-section">
+      <h3>Compared</h3>
+      <table class="compare-table">
+        <thead>
+          <tr><th></th><th>${escapeHtml(currentClub.name)}</th><th>${escapeHtml(compareClub.club.name)}</th></tr>
+        </thead>
+        <tbody>
+          ${rows.map(([label, a, b]) => `<tr><th>${label}</th><td>${a}</td><td>${b}</td></tr>`).join("")}
+        </tbody>
+      </table>
+      <div class="continent-list">
+        <div class="continent-row">
+          <span class="continent-name">Both</span>
+          <span class="continent-stat">${shared.length} countr${shared.length === 1 ? "y" : "ies"}</span>
+        </div>
+        <div class="compare-only">
+          <span class="continent-name">Only ${escapeHtml(currentClub.name)}</span>
+          <div class="compare-flags">${flags(ours, theirs)}</div>
+        </div>
+        <div class="compare-only">
+          <span class="continent-name">Only ${escapeHtml(compareClub.club.name)}</span>
+          <div class="compare-flags">${flags(theirs, ours)}</div>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+// Best dish hall of fame (carousel of top-rated dishes)
+function buildDishHallOfFame() {
+  const dishes = tripsData
+    .flatMap((trip) =>
+      trip.dishes
+        .filter((dish) => dish.rating !== null)
+        .map((dish) => ({ ...dish, trip })),
+    )
+    .sort(
+      (a, b) => b.rating - a.rating || b.trip.date.localeCompare(a.trip.date),
+    )
+    .slice(0, 10);
+  if (dishes.length === 0) return "";
+
+  let html = `<div class="stats-section"><h3>Best Dishes</h3><div class="carousel">`;
+  dishes.forEach(({ name, rating, trip }) => {
+    html += `
+      <div class="carousel-item" data-country-id="${trip.countryIds[0] || ""}" data-trip-date="${escapeHtml(trip.date)}" role="button" tabindex="0">
+        <div class="carousel-flag">🏆</div>
+        <div class="carousel-country">${escapeHtml(name)}</div>
+        <div class="carousel-count">${escapeHtml(trip.restaurant)} · ${formatRating(rating)}★</div>
+      </div>
+    `;
+  });
+  html += `</div></div>`;
+  return html;
+}
+
+// Top-rated countries and restaurants (average of trip ratings)
+function buildTopRatedStats() {
+  const rated = tripsData.filter((trip) => trip.averageRating !== null);
+  if (rated.length === 0) return "";
+
+  const topBy = (keysFor) => {
+    const ratings = {};
+    rated.forEach((trip) => {
+      keysFor(trip).forEach((key) => {
+        (ratings[key] = ratings[key] || []).push(trip.averageRating);
+      });
+    });
+    return Object.entries(ratings)
+      .map(([key, values]) => [key, d3.mean(values)])
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 5);
+  };
+  const countries = topBy((trip) => trip.countryIds);
+  const restaurants = topBy((trip) => [trip.restaurant]);
+
+  const rows = (entries, label) =>
+    entries
+      .map(
+        ([key, rating]) => `
+        <div class="continent-row">
+          <span class="continent-name">${escapeHtml(label(key))}</span>
+          <span class="continent-stat">⭐ ${formatRating(rating)}</span>
+        </div>
+      `,
+      )
+      .join("");
+
+  return `
+    <div class="stats-section"><h3>Top Rated Countries</h3><div class="continent-list">${rows(countries, (id) => `${getFlag(id)} ${countryIdToName[id]}`.trim())}</div></div>
+    <div class="stats-section"><h3>Top Rated Restaurants</h3><div class="continent-list">${rows(restaurants, String)}</div></div>
+  `;
+}
+
+// Average spend per head by year
+function buildSpendStats() {
+  const costed = tripsData.filter(
+    (trip) => typeof trip.cost_per_head === "number",
+  );
+  if (costed.length === 0) return "";
+
+  const byYear = d3.rollups(
+    costed,
+    (trips) => d3.mean(trips, (trip) => trip.cost_per_head),
+    (trip) => trip.date.slice(0, 4),
+  );
+
+  let html = `<div class="stats-section"><h3>Average Spend</h3><div class="continent-list">`;
+  byYear
+    .sort((a, b) => b[0].localeCompare(a[0]))
+    .forEach(([year, average]) => {
+      html += `
+        <div class="continent-row">
+          <span class="continent-name">${year}</span>
+          <span class="continent-stat">${formatCost(average)} per head</span>
+        </div>
+      `;
+    });
+  html += `</div></div>`;
+  return html;
+}
+
+// Dinner history over time: when each country was first visited, dinners per
+// year and the gaps between dinner days
+function computeTrends() {
+  const trips = [...tripsData].sort((a, b) => d3.ascending(a.date, b.date));
+
+  const firstVisits = []; // { id, date, count } in date order
+  const seen = new Set();
+  trips.forEach((trip) => {
+    trip.countryIds.forEach((id) => {
+      if (seen.has(id)) return;
+      seen.add(id);
+      firstVisits.push({ id, date: trip.date, count: seen.size });
+    });
+  });
+
+  // Several dinners on one day are one gap, not a run of zero-day gaps
+  const days = [...new Set(trips.map((trip) => dateToDay(trip.date)))];
+  const gaps = d3.pairs(days, (from, to) => ({
+    days: to - from,
+    from: dayToDate(from),
+    to: dayToDate(to),
+  }));
+
+  // Every year from the first dinner to this one, including empty years
+  const firstYear = Number(trips[0].date.slice(0, 4));
+  const years = d3
+    .range(firstYear, Number(getTodayString().slice(0, 4)) + 1)
+    .map(String);
+  const dinnersByYear = d3.rollup(
+    trips,
+    (yearTrips) => yearTrips.length,
+    (trip) => trip.date.slice(0, 4),
+  );
+  const gapByYear = d3.rollup(
+    gaps,
+    (yearGaps) => d3.mean(yearGaps, (gap) => gap.days),
+    (gap) => gap.to.slice(0, 4),
+  );
+
+  // Continents in the order we first ate from them
+  const continentStarts = d3.rollups(
+    firstVisits.filter((visit) => countryToContinent[visit.id]),
+    (visits) => visits[0],
+    (visit) => countryToContinent[visit.id],
+  );
+
+  return {
+    firstVisits,
+    gaps,
+    dinnersPerYear: years.map((year) => [year, dinnersByYear.get(year) || 0]),
+    gapPerYear: years
+      .filter((year) => gapByYear.has(year))
+      .map((year) => [year, gapByYear.get(year)]),
+    longestGap: d3.greatest(gaps, (gap) => gap.days),
+    newestContinent: d3.greatest(continentStarts, ([, visit]) => visit.date),
+  };
+}
+
+// Trends section. The charts are drawn into their placeholders by
+// drawTrendCharts() once the modal content is on the page
+function buildTrendStats() {
+  if (tripsData.length < 2) return "";
+  const { gaps, longestGap, newestContinent } = computeTrends();
+
+  let html = `<div class="stats-section"><h3>Trends</h3>`;
+  html += `
+    <div class="trend-title">Countries over time</div>
+    <svg class="trend-chart" data-chart="countries" role="img" aria-label="Countries visited over time"></svg>
+    <div class="trend-title">Dinners per year</div>
+    <svg class="trend-chart" data-chart="dinners" role="img" aria-label="Dinners per year"></svg>
+  `;
+  if (gaps.length > 0) {
+    html += `
+      <div class="trend-title">Average days between dinners</div>
+      <svg class="trend-chart" data-chart="gaps" role="img" aria-label="Average days between dinners by year"></svg>
+    `;
+  }
+
+  html += `<div class="continent-list">`;
+  if (longestGap) {
+    html += `
+      <div class="continent-row">
+        <span class="continent-name">Average gap</span>
+        <span class="continent-stat">${formatDays(d3.mean(gaps, (gap) => gap.days))}</span>
+      </div>
+      <div class="continent-row">
+        <span class="continent-name">Longest gap</span>
+        <span class="continent-stat">${formatDays(longestGap.days)} (${formatDate(longestGap.from)} – ${formatDate(longestGap.to)})</span>
+      </div>
+    `;
+  }
+  if (newestContinent) {
+    const [continent, visit] = newestContinent;
+    html += `
+      <div class="continent-row">
+        <span class="continent-name">Newest continent</span>
+        <span class="continent-stat">${escapeHtml(continent)} · ${getFlag(visit.id)} ${escapeHtml(countryIdToName[visit.id] || visit.id)}, ${formatDate(visit.date)}</span>
+      </div>
+    `;
+  }
+  html += `</div></div>`;
+  return html;
+}
+
+// "1 day", "12 days", rounded to whole days
+function formatDays(days) {
+  const rounded = Math.round(days);
+  return `${rounded} day${rounded === 1 ? "" : "s"}`;
+}
+
+// Draw the trend charts built by buildTrendStats()
+function drawTrendCharts(container) {
+  const charts = container.querySelectorAll(".trend-chart");
+  if (charts.length === 0) return;
+  const { firstVisits, dinnersPerYear, gapPerYear } = computeTrends();
+
+  charts.forEach((chart) => {
+    const svg = d3.select(chart);
+    if (chart.dataset.chart === "countries") {
+      drawCumulativeChart(svg, firstVisits);
+    } else if (chart.dataset.chart === "dinners") {
+      drawYearBarChart(svg, dinnersPerYear, (count) => count);
+    } else if (chart.dataset.chart === "gaps") {
+      drawYearBarChart(svg, gapPerYear, (days) => Math.round(days));
+    }
+  });
+}
+
+// Step line of countries visited so far, running on to today
+function drawCumulativeChart(svg, firstVisits) {
+  const { width, height, margin } = TREND_CHART;
+  const parse = d3.utcParse("%Y-%m-%d");
+  const points = firstVisits.map((visit) => [parse(visit.date), visit.count]);
+  points.push([parse(getTodayString()), firstVisits.length]);
+
+  const x = d3
+    .scaleUtc()
+    .domain(d3.extent(points, ([date]) => date))
+    .range([margin.left, width - margin.right]);
+  const y = d3
+    .scaleLinear()
+    .domain([0, firstVisits.length])
+    .nice()
+    .range([height - margin.bottom, margin.top]);
+
+  svg.attr("viewBox", `0 0 ${width} ${height}`);
+  svg
+    .append("g")
+    .attr("class", "trend-axis")
+    .attr("transform", `translate(0,${height - margin.bottom})`)
+    .call(d3.axisBottom(x).ticks(5).tickSizeOuter(0));
+  svg
+    .append("g")
+    .attr("class", "trend-axis")
+    .attr("transform", `translate(${margin.left},0)`)
+    .call(d3.axisLeft(y).ticks(4).tickSizeOuter(0));
+  svg
+    .append("path")
+    .attr("class", "trend-area")
+    .attr(
+      "d",
+      d3
+        .area()
+        .curve(d3.curveStepAfter)
+        .x(([date]) => x(date))
+        .y0(y(0))
+        .y1(([, count]) => y(count))(points),
+    );
+  svg
+    .append("path")
+    .attr("class", "trend-line")
+    .attr(
+      "d",
+      d3
+        .line()
+        .curve(d3.curveStepAfter)
+        .x(([date]) => x(date))
+        .y(([, count]) => y(count))(points),
+    );
+}
+
+// One bar per year with its value above it
+function drawYearBarChart(svg, entries, format) {
+  const { width, height, margin } = TREND_CHART;
+  const x = d3
+    .scaleBand()
+    .domain(entries.map(([year]) => year))
+    .range([margin.left, width - margin.right])
+    .padding(0.2);
+  const y = d3
+    .scaleLinear()
+    .domain([0, d3.max(entries, ([, value]) => value) || 1])
+    .nice()
+    .range([height - margin.bottom, margin.top]);
+
+  svg.attr("viewBox", `0 0 ${width} ${height}`);
+  svg
+    .append("g")
+    .attr("class", "trend-axis")
+    .attr("transform", `translate(0,${height - margin.bottom})`)
+    .call(d3.axisBottom(x).tickSizeOuter(0));
+
+  const bars = svg
+    .append("g")
+    .selectAll("g")
+    .data(entries)
+    .join("g")
+    .attr("transform", ([year]) => `translate(${x(year)},0)`);
+  bars
+    .append("rect")
+    .attr("class", "trend-bar")
+    .attr("y", ([, value]) => y(value))
+    .attr("width", x.bandwidth())
+    .attr("height", ([, value]) => y(0) - y(value))
+    .append("title")
+    .text(([year, value]) => `${year}: ${format(value)}`);
+  bars
+    .append("text")
+    .attr("class", "trend-value")
+    .attr("x", x.bandwidth() / 2)
+    .attr("y", ([, value]) => y(value) - 3)
+    .text(([, value]) => format(value));
+}
+
+// "1 visit", "3 visits", "1.5 visits" (partial credit)
+function formatVisitCount(count) {
+  const rounded = Math.round(count * 10) / 10;
+  return `${rounded} visit${rounded === 1 ? "" : "s"}`;
+}
+
+// Discover an unvisited country
+// Modes: "balanced" favours continents with the lowest coverage, "random"
+// is uniform, "wishlist" only picks wishlist countries and "month" is a
+// pick of the month seeded by the month, so everyone gets the same country
+function discoverCountry(mode = "balanced") {
   const { svg, features } = mapState;
   if (!svg || !features.length) return;
 
-  // Find unvisited countries
-  const unvisited = features.filter((f) => {
-    const name = f.properties.name?.toLowerCase();
-    return !visitedCountries.has(name);
-  });
+  // Pick of the month goes by trips.yaml alone, so local drafts don't move it
+  const { visited, planned } =
+    mode === "month"
+      ? getPublishedCountries()
+      : { visited: visitedCountries, planned: getPlannedCountries() };
+
+  // Find unvisited countries, minus the skip list and anything already planned
+  const unvisited = features.filter(
+    (f) => !visited.has(f.id) && !discoverSkip.has(f.id) && !planned.has(f.id),
+  );
 
   if (unvisited.length === 0) {
     alert("You've visited everywhere! Amazing!");
     return;
   }
 
-  // Pick random unvisited country
-  const country = unvisited[Math.floor(Math.random() * unvisited.length)];
+  let candidates = unvisited;
+  if (mode === "wishlist") {
+    candidates = unvisited.filter((f) => discoverWishlist.has(f.id));
+    if (candidates.length === 0) {
+      alert("Nothing left on the wishlist. Add some in trips.yaml!");
+      return;
+    }
+  }
+
+  // Avoid recent rolls while there's something else to suggest
+  const recent = new Set(loadRecentRolls());
+  if (mode !== "month" && candidates.some((f) => !recent.has(f.id))) {
+    candidates = candidates.filter((f) => !recent.has(f.id));
+  }
+
+  const weight = mode === "random" ? () => 1 : getDiscoverWeight(visited);
+  const random = mode === "month" ? seededRandom(getMonthKey()) : Math.random;
+  const country = weightedPick(
+    [...candidates].sort((a, b) => a.id.localeCompare(b.id)),
+    weight,
+    random,
+  );
+  if (mode !== "month") saveRecentRoll(country.id);
 
-  // Highlight and show sidebar
-  d3.selectAll("path.country").classed("active", false);
-  d3.select(`path[data-id="${country.id}"]`).classed("active", true).raise();
+  // Highlight and show sidebar. Pick of the month ignores local drafts, so
+  // the country may have dinners of its own
+  setActiveCountry(country.id);
   zoomToCountry(country);
-  showSidebar(country.properties.name, country.id, []);
+  showSidebar(
+    country.properties.name,
+    country.id,
+    getTripsForCountry(country.id),
+  );
+  announce(`Discover picked ${country.properties.name}`);
+}
+
+// Weight countries by how little of their continent we've covered,
+// with a boost for wishlist countries
+function getDiscoverWeight(visitedIds) {
+  const totals = {};
+  const visited = {};
+  mapState.features.forEach((f) => {
+    const continent = countryToContinent[f.id] || "Other";
+    totals[continent] = (totals[continent] || 0) + 1;
+    if (visitedIds.has(f.id)) {
+      visited[continent] = (visited[continent] || 0) + 1;
+    }
+  });
+
+  return (feature) => {
+    const continent = countryToContinent[feature.id] || "Other";
+    const coverage = (visited[continent] || 0) / totals[continent];
+    const boost = discoverWishlist.has(feature.id) ? WISHLIST_WEIGHT : 1;
+    return (1 - coverage + 0.05) * boost;
+  };
+}
+
+function weightedPick(items, weight, random) {
+  const weights = items.map(weight);
+  let target = random() * d3.sum(weights);
+  for (let i = 0; i < items.length; i++) {
+    target -= weights[i];
+    if (target < 0) return items[i];
+  }
+  return items[items.length - 1];
+}
+
+// "2026-10" for the current month, in local time
+function getMonthKey() {
+  return d3.timeFormat("%Y-%m")(new Date());
+}
+
+// Visited and planned countries in trips.yaml, without local drafts
+function getPublishedCountries() {
+  const { valid } = validateTrips(sourceTrips);
+  const countries = (planned) =>
+    new Set(
+      valid
+        .filter((trip) => Boolean(trip.planned) === planned)
+        .flatMap((trip) => trip.countryIds),
+    );
+  return { visited: countries(false), planned: countries(true) };
+}
+
+// Deterministic PRNG (mulberry32) seeded from a string hash
+function seededRandom(seedText) {
+  let seed = 2166136261;
+  for (const char of seedText) {
+    seed = Math.imul(seed ^ char.charCodeAt(0), 16777619);
+  }
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function loadRecentRolls() {
+  try {
+    return JSON.parse(localStorage.getItem(RECENT_ROLLS_STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+function saveRecentRoll(countryId) {
+  const rolls = [countryId, ...loadRecentRolls()].slice(0, RECENT_ROLL_LIMIT);
+  try {
+    localStorage.setItem(RECENT_ROLLS_STORAGE_KEY, JSON.stringify(rolls));
+  } catch (error) {
+    console.error("Error saving recent rolls:", error);
+  }
+}
+
+function toggleDiscoverMenu(open) {
+  const menu = document.getElementById("discover-menu");
+  menu.hidden = typeof open === "boolean" ? !open : !menu.hidden;
+  document
+    .getElementById("discover-btn")
+    .setAttribute("aria-expanded", String(!menu.hidden));
+}
+
+// Trip editor
+// Drafts are kept in localStorage as changes on top of trips.yaml:
+// `edits` maps an entry's key (see getSourceDraftKeys()) to the entry as it
+// was when edited and its replacement (null = deleted), `added` holds new
+// trips. An edit only applies while its entry is unchanged, so an updated
+// trips.yaml can't move it onto another dinner. Merged trips are keyed
+// "s<index>" or "a<index>"
+let editingKey = null;
+
+function loadDrafts() {
+  try {
+    migrateLegacyDrafts();
+    const stored = JSON.parse(localStorage.getItem(getDraftsStorageKey()));
+    if (stored && stored.edits && Array.isArray(stored.added)) {
+      // Older drafts were keyed by position in trips.yaml, which can't be
+      // trusted; keep them as stale so they're reported rather than applied
+      Object.entries(stored.edits).forEach(([key, edit]) => {
+        if (edit && "original" in edit) return;
+        delete stored.edits[key];
+        stored.edits[`#${key}`] = { original: null, trip: edit };
+      });
+      tripDrafts = stored;
+    }
+  } catch (error) {
+    console.error("Error loading drafts:", error);
+  }
+}
+
+function saveDrafts() {
+  try {
+    localStorage.setItem(getDraftsStorageKey(), JSON.stringify(tripDrafts));
+  } catch (error) {
+    console.error("Error saving drafts:", error);
+  }
+}
+
+// Each club keeps its own drafts, under its id
+function getDraftsStorageKey() {
+  return `${DRAFTS_STORAGE_KEY}:${currentClub.id}`;
+}
+
+// Drafts from before there were several clubs sit under the bare key. They
+// were made against data/trips.yaml, so they move to the club that reads it
+function migrateLegacyDrafts() {
+  const legacy = localStorage.getItem(DRAFTS_STORAGE_KEY);
+  const key = getDraftsStorageKey();
+  if (legacy === null || currentClub.trips !== "data/trips.yaml") return;
+  if (localStorage.getItem(key) !== null) return;
+  localStorage.setItem(key, legacy);
+  localStorage.removeItem(DRAFTS_STORAGE_KEY);
+}
+
+function getDraftCount() {
+  return Object.keys(tripDrafts.edits).length + tripDrafts.added.length;
+}
+
+// trips.yaml with drafts applied, in file order
+function getMergedTrips() {
+  const merged = [];
+  const keys = getSourceDraftKeys();
+  sourceTrips.forEach((trip, index) => {
+    const edit = getMatchingEdit(index, keys);
+    if (edit && edit.trip === null) return;
+    merged.push({
+      key: `s${index}`,
+      trip: edit ? edit.trip : trip,
+      draft: Boolean(edit),
+    });
+  });
+  tripDrafts.added.forEach((trip, index) => {
+    merged.push({ key: `a${index}`, trip, draft: true });
+  });
+  return merged;
+}
+
+// Keys for edits to the trips.yaml entries, in file order: date, restaurant
+// and countries, then which occurrence of those it is, as the file may
+// repeat them
+function getSourceDraftKeys() {
+  const counts = new Map();
+  return sourceTrips.map((trip) => {
+    const countries = []
+      .concat(trip?.country ?? [])
+      .map((country) => String(country).trim().toLowerCase());
+    const key = `${getDinnerKey(trip)}|${countries.join(",")}`;
+    const count = counts.get(key) || 0;
+    counts.set(key, count + 1);
+    return `${key}#${count}`;
+  });
+}
+
+// The edit made to trips.yaml entry `index`, if the entry hasn't changed since
+function getMatchingEdit(index, keys = getSourceDraftKeys()) {
+  const edit = tripDrafts.edits[keys[index]];
+  return edit && isEditOf(edit, sourceTrips[index]) ? edit : null;
+}
+
+function isEditOf(edit, trip) {
+  return JSON.stringify(edit.original) === JSON.stringify(trip);
+}
+
+// Edits whose trips.yaml entry has changed or gone since they were made
+function getStaleEdits() {
+  const keys = getSourceDraftKeys();
+  const applied = new Set(
+    keys.filter((key, index) => getMatchingEdit(index, keys)),
+  );
+  return Object.entries(tripDrafts.edits)
+    .filter(([key]) => !applied.has(key))
+    .map(([, edit]) => edit);
+}
+
+// Record an edit (null = delete) against the trips.yaml entry as it is now.
+// If its key holds a stale edit of another entry, that isn't replaced and
+// this returns false
+function setTripEdit(key, trip) {
+  const index = Number(key.slice(1));
+  const original = sourceTrips[index];
+  const draftKey = getSourceDraftKeys()[index];
+  const existing = tripDrafts.edits[draftKey];
+  if (existing && !isEditOf(existing, original)) return false;
+  tripDrafts.edits[draftKey] = { original, trip };
+  return true;
+}
+
+// Date and restaurant identify a dinner, whatever else changes
+function getDinnerKey(trip) {
+  return `${normalizeTripDate(trip?.date)}|${String(trip?.restaurant ?? "")
+    .trim()
+    .toLowerCase()}`;
+}
+
+function getRawTrip(key) {
+  return getMergedTrips().find((entry) => entry.key === key)?.trip;
+}
+
+// Re-validate and redraw everything that depends on trips
+function refreshTrips() {
+  applyTripValidation();
+  updateMapColours();
+  renderDataProblems();
+  renderNextDinner();
+  renderMemberSelect();
+  updateTimelineRange();
+}
+
+// Club switcher and compare selector, shown when there's more than one club
+function renderClubSelects() {
+  const select = document.getElementById("club-select");
+  const compare = document.getElementById("compare-select");
+  select.hidden = compare.hidden = clubs.length < 2;
+
+  select.innerHTML = clubs
+    .map(
+      (club) =>
+        `<option value="${escapeHtml(club.id)}"${club === currentClub ? " selected" : ""}>${escapeHtml(club.name)}</option>`,
+    )
+    .join("");
+  compare.innerHTML =
+    '<option value="">No comparison</option>' +
+    clubs
+      .filter((club) => club !== currentClub)
+      .map(
+        (club) =>
+          `<option value="${escapeHtml(club.id)}">Compare with ${escapeHtml(club.name)}</option>`,
+      )
+      .join("");
+  compare.value = compareClub ? compareClub.club.id : "";
+
+  // Compare mode has its own colours
+  document.getElementById("colour-mode").disabled = Boolean(compareClub);
+}
+
+function handleClubChange(event) {
+  whileLoadingClub(() => switchClub(event.target.value));
+}
+
+function handleCompareChange(event) {
+  whileLoadingClub(() => setCompareClub(event.target.value || null));
+}
+
+// Both selects are disabled until a club has loaded, so a second choice
+// can't interleave with the first and mix up the two clubs' data
+async function whileLoadingClub(load) {
+  const selects = ["club-select", "compare-select"].map((id) =>
+    document.getElementById(id),
+  );
+  selects.forEach((select) => (select.disabled = true));
+  try {
+    await load();
+  } finally {
+    selects.forEach((select) => (select.disabled = false));
+  }
+}
+
+// Show another club's dinners and settings without reloading the page
+async function switchClub(id) {
+  const club = clubs.find((c) => c.id === id);
+  if (!club || club === currentClub) return;
+
+  closeSidebar();
+  currentClub = club;
+  if (compareClub?.club === club) compareClub = null;
+  loadProblems = [...clubProblems];
+  tripDrafts = { edits: {}, added: [] };
+
+  await loadClubConfig();
+  applyStartView();
+  await loadTrips();
+  loadDrafts();
+  refreshTrips();
+  renderClubSelects();
+  renderColourModeSelect();
+  renderProjectionSelect();
+  renderLabelModeSelect();
+  if (mapState.svg) {
+    createHatchPattern(mapState.svg.select("defs"), mapState.width);
+    refitMap();
+    renderLabelText();
+  }
+
+  // Keep the club in the page URL, so links and refreshes show it
+  const url = new URL(location.href);
+  if (club === clubs[0]) url.searchParams.delete("club");
+  else url.searchParams.set("club", club.id);
+  history.replaceState(null, "", url);
+}
+
+// Compare mode: load another club's dinners to colour the map by which club
+// has been where, or turn it off with null
+async function setCompareClub(id) {
+  const club = clubs.find((c) => c.id === id && c !== currentClub);
+  compareClub = null;
+  if (club) {
+    const file = await readTripsFile(club.trips);
+    const { valid, problems } = validateTrips(file.trips);
+    const visited = valid.filter((trip) => !trip.planned);
+    compareClub = {
+      club,
+      trips: visited,
+      visited: new Set(visited.flatMap((trip) => trip.countryIds)),
+      // Listed with ours, so a broken file doesn't just look like fewer
+      // countries
+      problems: [...file.problems, ...problems].map((problem) => ({
+        ...problem,
+        label: `${club.name}: ${problem.label || club.trips}`,
+      })),
+    };
+  }
+  applyTripValidation();
+  renderDataProblems();
+  renderClubSelects();
+  updateMapColours();
+}
+
+// Countries the compared club has been to, up to the timeline's date
+function getCompareVisitedCountries() {
+  if (!compareClub) return new Set();
+  if (!timelineDate) return compareClub.visited;
+  return new Set(
+    compareClub.trips
+      .filter((trip) => trip.date <= timelineDate)
+      .flatMap((trip) => trip.countryIds),
+  );
+}
+
+function openTripEditor(key, countryName = "") {
+  const overlay = document.getElementById("editor-overlay");
+  const form = document.getElementById("trip-form");
+  const raw = key ? getRawTrip(key) : null;
+
+  editingKey = raw ? key : null;
+  document.getElementById("editor-title").textContent = raw
+    ? "Edit Dinner"
+    : "Add Dinner";
+  document.getElementById("trip-delete").hidden = !raw;
+  document.getElementById("trip-form-errors").innerHTML = "";
+
+  fillTripForm(form, raw || { country: countryName });
+  renderDraftsSummary();
+  overlay.classList.add("visible");
+  openDialog(document.getElementById("editor-modal"), form.elements.country);
+}
+
+// Country name suggestions for the editor and import inputs
+function renderCountryOptions() {
+  document.getElementById("country-options").innerHTML = Object.values(
+    countryIdToName,
+  )
+    .sort()
+    .map((name) => `<option value="${escapeHtml(name)}"></option>`)
+    .join("");
+}
+
+function closeTripEditor() {
+  document.getElementById("editor-overlay").classList.remove("visible");
+  editingKey = null;
+  closeDialog(document.getElementById("editor-modal"));
+}
+
+function fillTripForm(form, raw) {
+  const list = (value) => (isBlank(value) ? "" : [].concat(value).join(", "));
+  const values = {
+    country: list(raw.country),
+    date: normalizeTripDate(raw.date) || "",
+    restaurant: raw.restaurant ?? "",
+    maps_url: raw.maps_url ?? "",
+    attendees: list(raw.attendees),
+    absent: list(raw.absent),
+    rating:
+      raw.rating && typeof raw.rating === "object"
+        ? Object.entries(raw.rating)
+            .map(([name, value]) => `${name}: ${value}`)
+            .join(", ")
+        : (raw.rating ?? ""),
+    dishes: (isBlank(raw.dishes) ? [] : [].concat(raw.dishes))
+      .map((dish) =>
+        typeof dish === "object" && dish
+          ? `${dish.name}${isBlank(dish.rating) ? "" : `: ${dish.rating}`}`
+          : dish,
+      )
+      .join("\n"),
+    cost_per_head: raw.cost_per_head ?? "",
+    notes: raw.notes ?? "",
+  };
+  Object.entries(values).forEach(([name, value]) => {
+    form.elements[name].value = value;
+  });
+}
+
+// Build a trip in trips.yaml shape from the form, keeping unknown fields
+function readTripForm(form, base = {}) {
+  const value = (name) => form.elements[name].value.trim();
+  const list = (name) =>
+    value(name)
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+  const trip = { ...base };
+  const set = (name, fieldValue) => {
+    if (isBlank(fieldValue) || fieldValue.length === 0) {
+      delete trip[name];
+    } else {
+      trip[name] = fieldValue;
+    }
+  };
+
+  const countries = list("country");
+  set("country", countries.length > 1 ? countries : countries[0]);
+  set("date", value("date"));
+  set("restaurant", value("restaurant"));
+  set("maps_url", value("maps_url"));
+  set("notes", value("notes"));
+  set("attendees", list("attendees"));
+  set("absent", list("absent"));
+  set("rating", parseRatingInput(value("rating")));
+  set(
+    "dishes",
+    value("dishes")
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((line) => {
+        const match = line.match(/^(.*?):\s*(\d+(?:\.\d+)?)$/);
+        return match
+          ? { name: match[1].trim(), rating: Number(match[2]) }
+          : line;
+      }),
+  );
+  set(
+    "cost_per_head",
+    value("cost_per_head") === "" ? null : Number(value("cost_per_head")),
+  );
+
+  return trip;
+}
+
+// "4" -> 4, "Tom: 4, Sam: 5" -> { Tom: 4, Sam: 5 }; anything else is kept
+// as typed so validation can report it
+function parseRatingInput(text) {
+  if (text === "") return null;
+  if (!isNaN(Number(text))) return Number(text);
+
+  const pairs = text.split(",").map((pair) => pair.split(":"));
+  if (pairs.every((pair) => pair.length === 2 && pair[0].trim())) {
+    return Object.fromEntries(
+      pairs.map(([name, value]) => [name.trim(), Number(value)]),
+    );
+  }
+  return text;
+}
+
+function handleTripFormSubmit(event) {
+  event.preventDefault();
+  const form = event.target;
+  const base = editingKey ? getRawTrip(editingKey) : {};
+  const trip = readTripForm(form, base);
+
+  // Refuse anything validation would complain about
+  const { valid, problems } = validateTrips([trip]);
+  if (problems.length > 0) {
+    document.getElementById("trip-form-errors").innerHTML = problems
+      .map(
+        (problem) =>
+          `<div>${escapeHtml(problem.reason)}${problem.suggestion ? ` (did you mean ${escapeHtml(problem.suggestion)}?)` : ""}</div>`,
+      )
+      .join("");
+    return;
+  }
+
+  if (editingKey && editingKey.startsWith("a")) {
+    tripDrafts.added[Number(editingKey.slice(1))] = trip;
+  } else if (editingKey) {
+    if (!setTripEdit(editingKey, trip)) {
+      showDraftCollision();
+      return;
+    }
+  } else {
+    tripDrafts.added.push(trip);
+  }
+  saveDrafts();
+  refreshTrips();
+  closeTripEditor();
+
+  // Show the saved dinner in its country's sidebar
+  const [saved] = valid;
+  const countryId = saved.countryIds[0];
+  if (countryId) {
+    openCountryFromCalendar(countryId, saved.date);
+  }
+}
+
+function handleTripDelete() {
+  if (!editingKey || !confirm("Delete this dinner?")) return;
+
+  if (editingKey.startsWith("a")) {
+    tripDrafts.added.splice(Number(editingKey.slice(1)), 1);
+  } else {
+    if (!setTripEdit(editingKey, null)) {
+      showDraftCollision();
+      return;
+    }
+  }
+  saveDrafts();
+  refreshTrips();
+  closeTripEditor();
+  closeSidebar();
+}
+
+// setTripEdit() found a stale edit in the way, listed with the data problems
+function showDraftCollision() {
+  document.getElementById("trip-form-errors").innerHTML =
+    "<div>An older local change to a dinner with the same date, restaurant and country no longer matches trips.yaml (see ⚠️). Discard local changes to edit this one.</div>";
+}
+
+function discardDrafts() {
+  if (!confirm("Discard all local changes?")) return;
+
+  tripDrafts = { edits: {}, added: [] };
+  saveDrafts();
+  refreshTrips();
+  closeTripEditor();
+  closeSidebar();
+}
+
+function renderDraftsSummary() {
+  const count = getDraftCount();
+  const stale = getStaleEdits().length;
+  document.getElementById("drafts-summary").textContent =
+    count > 0
+      ? `${count} local change${count === 1 ? "" : "s"}. Download trips.yaml and replace data/trips.yaml to keep them.${stale > 0 ? ` ${stale} no longer match${stale === 1 ? "es" : ""} trips.yaml and won't be included.` : ""}`
+      : "No local changes.";
+  document.getElementById("drafts-discard").hidden = count === 0;
+}
+
+// Serialise the merged trips in the shape loadTrips() reads
+function serializeTripsYaml() {
+  const trips = getMergedTrips().map(({ trip }) => trip);
+  const yaml = jsyaml
+    .dump({ trips }, { lineWidth: -1 })
+    // Blank line between trips, like the hand-written file
+    .replace(/\n(?= {2}- )/g, "\n\n")
+    .replace("trips:\n\n", "trips:\n");
+
+  // Other keys (skip, wishlist) keep their short list style
+  const extras = Object.keys(tripsFileExtras).length
+    ? jsyaml.dump(tripsFileExtras, { lineWidth: -1, flowLevel: 1 })
+    : "";
+  return extras ? `${yaml}\n${extras}` : yaml;
+}
+
+function downloadTripsYaml() {
+  downloadBlob(
+    new Blob([serializeTripsYaml()], { type: "text/yaml" }),
+    "trips.yaml",
+  );
+}
+
+// Save a blob through a temporary download link
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Revoking straight away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Trip data exports (CSV, iCalendar, GeoJSON)
+function getTripsByDate() {
+  return [...tripsData, ...plannedTrips].sort((a, b) =>
+    a.date.localeCompare(b.date),
+  );
+}
+
+function buildTripsCsv() {
+  const join = (values) => values.join("; ");
+  const rows = getTripsByDate().map((trip) => ({
+    date: trip.date,
+    country: join([].concat(trip.country)),
+    country_ids: join(trip.countryIds),
+    restaurant: trip.restaurant,
+    maps_url: trip.maps_url || "",
+    attendees: join(trip.attendees),
+    absent: join(trip.absent),
+    rating: trip.averageRating ?? "",
+    dishes: join(
+      trip.dishes.map((dish) =>
+        dish.rating !== null ? `${dish.name}: ${dish.rating}` : dish.name,
+      ),
+    ),
+    cost_per_head: trip.cost_per_head ?? "",
+    notes: trip.notes || "",
+    status: trip.planned ? "planned" : "visited",
+  }));
+  return d3.csvFormat(rows, [
+    "date",
+    "country",
+    "country_ids",
+    "restaurant",
+    "maps_url",
+    "attendees",
+    "absent",
+    "rating",
+    "dishes",
+    "cost_per_head",
+    "notes",
+    "status",
+  ]);
+}
+
+// Escape TEXT values for iCalendar (RFC 5545)
+function escapeIcsText(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Fold long lines with a leading space (RFC 5545 limit is 75 octets of
+// UTF-8, counting that space), without splitting a character
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let part = "";
+  let octets = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    if (octets + size > 75) {
+      parts.push(part);
+      part = " ";
+      octets = 1;
+    }
+    part += char;
+    octets += size;
+  }
+  parts.push(part);
+  return parts.join("\r\n");
+}
+
+// Same dinner, same UID, so re-importing updates events instead of adding
+function getIcsUid(trip) {
+  const slug = trip.restaurant
+    .normalize("NFD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-|-$/g, "");
+  return `${trip.date.replace(/-/g, "")}-${slug}@dinner-club-map`;
+}
+
+// One all-day event per dinner
+function buildTripsIcs() {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").slice(0, 15);
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Dinner Club Map//EN",
+    "CALSCALE:GREGORIAN",
+    `X-WR-CALNAME:${escapeIcsText(document.title)}`,
+  ];
+
+  getTripsByDate().forEach((trip) => {
+    const start = trip.date.replace(/-/g, "");
+    const end = dayToDate(dateToDay(trip.date) + 1).replace(/-/g, "");
+    const countries = trip.cuisine || countryIdToName[trip.countryIds[0]];
+    const description = [
+      countries,
+      trip.notes,
+      trip.maps_url ? `Google Maps: ${trip.maps_url}` : "",
+    ]
+      .filter(Boolean)
+      .join("\n");
+
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${getIcsUid(trip)}`,
+      `DTSTAMP:${stamp}Z`,
+      `DTSTART;VALUE=DATE:${start}`,
+      `DTEND;VALUE=DATE:${end}`,
+      `SUMMARY:${escapeIcsText(`${trip.restaurant}${countries ? ` (${countries})` : ""}`)}`,
+      `LOCATION:${escapeIcsText(trip.restaurant)}`,
+      `DESCRIPTION:${escapeIcsText(description)}`,
+    );
+    if (trip.maps_url) lines.push(`URL:${trip.maps_url}`);
+    lines.push("END:VEVENT");
+  });
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
+
+// Visited countries with trip counts and first/last visit dates
+function buildVisitedGeoJson() {
+  const features = mapState.features
+    .filter((feature) => visitedCountries.has(feature.id))
+    .map((feature) => {
+      const dates = getTripsForCountry(feature.id)
+        .map((trip) => trip.date)
+        .sort();
+      return {
+        type: "Feature",
+        id: feature.id,
+        properties: {
+          name: feature.properties.name,
+          trip_count: dates.length,
+          first_visit: dates[0],
+          last_visit: dates[dates.length - 1],
+        },
+        geometry: feature.geometry,
+      };
+    });
+  return JSON.stringify({ type: "FeatureCollection", features });
+}
+
+function downloadTripsCsv() {
+  downloadBlob(
+    new Blob([buildTripsCsv()], { type: "text/csv" }),
+    "dinner-club-trips.csv",
+  );
+}
+
+function downloadTripsIcs() {
+  downloadBlob(
+    new Blob([buildTripsIcs()], { type: "text/calendar" }),
+    "dinner-club-trips.ics",
+  );
+}
+
+function downloadVisitedGeoJson() {
+  downloadBlob(
+    new Blob([buildVisitedGeoJson()], { type: "application/geo+json" }),
+    "dinner-club-visited.geojson",
+  );
+}
+
+// Import trips from a CSV or a Google Takeout saved-places file
+// Rows are previewed against existing trips, then added as drafts
+let importState = {
+  records: [],
+  columns: [],
+  mapping: {},
+  dateOrder: null,
+  rows: [],
+};
+
+async function handleImportFile(event) {
+  const file = event.target.files[0];
+  event.target.value = "";
+  if (!file) return;
+
+  try {
+    const text = await file.text();
+    const records = /\.(geo)?json$/i.test(file.name)
+      ? parseTakeoutPlaces(JSON.parse(text))
+      : d3.csvParse(text);
+    const columns = [...new Set(records.flatMap(Object.keys))];
+
+    importState = {
+      records,
+      columns,
+      mapping: guessImportMapping(columns),
+      dateOrder: null,
+    };
+    buildImportRows();
+    closeExportModal();
+    openImportModal(file.name);
+  } catch (error) {
+    console.error("Error importing file:", error);
+    alert(`Couldn't read ${file.name}: ${error.message}`);
+  }
+}
+
+// Google Takeout "Saved Places.json" (GeoJSON), old and new property names
+function parseTakeoutPlaces(data) {
+  const features = Array.isArray(data) ? data : data?.features;
+  if (!Array.isArray(features)) {
+    throw new Error("Expected a CSV or a saved-places GeoJSON file");
+  }
+
+  return features.map((feature) => {
+    const props = feature.properties || feature;
+    const location = props.location || props.Location || {};
+    return {
+      restaurant:
+        location.name || location["Business Name"] || props.Title || "",
+      maps_url: props.google_maps_url || props["Google Maps URL"] || "",
+      date: props.date || props.Published || props.Updated || "",
+      notes: props.Comment || props.comment || "",
+      country: getTakeoutCountry(feature, location),
+    };
+  });
+}
+
+// A saved place's country name, from its country code or else from the map
+// country its point falls in. Blank when neither is known
+function getTakeoutCountry(feature, location) {
+  const code = String(location.country_code || "");
+  let id = alpha2to3[code.trim().toUpperCase()];
+  const point = feature.geometry?.coordinates;
+  if (!countryIdToName[id] && feature.geometry?.type === "Point") {
+    id = mapState.features.find((country) =>
+      d3.geoContains(country, point),
+    )?.id;
+  }
+  return countryIdToName[id] || "";
+}
+
+// Match file columns to trip fields by name
+function guessImportMapping(columns) {
+  const mapping = {};
+  Object.entries(IMPORT_COLUMNS).forEach(([field, names]) => {
+    mapping[field] =
+      columns.find((column) => names.includes(column.trim().toLowerCase())) ||
+      null;
+  });
+  return mapping;
+}
+
+// Accept YYYY-MM-DD, ISO timestamps and D/M/YYYY or M/D/YYYY. A slash date
+// that reads both ways (3/4/2024) needs `order` ("dmy" or "mdy") and is
+// otherwise left as it is, for the row to be flagged
+function parseImportDate(value, order) {
+  const text = value.trim();
+  const iso = text.match(/^(\d{4}-\d{2}-\d{2})/);
+  if (iso) return iso[1];
+
+  const slashed = text.match(SLASH_DATE_PATTERN);
+  if (slashed) {
+    const [, first, second, year] = slashed;
+    const dayFirst =
+      Number(first) > 12 ||
+      (Number(second) <= 12 && (first === second || order === "dmy"));
+    const monthFirst = !dayFirst && (Number(second) > 12 || order === "mdy");
+    if (!dayFirst && !monthFirst) return text;
+
+    const [day, month] = dayFirst ? [first, second] : [second, first];
+    return `${year}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`;
+  }
+  return text;
+}
+
+// Turn one file record into a trip in trips.yaml shape
+function importRecordToTrip(record, mapping, dateOrder) {
+  const trip = {};
+  Object.entries(mapping).forEach(([field, column]) => {
+    const value = column ? String(record[column] ?? "").trim() : "";
+    if (value === "") return;
+
+    if (LIST_IMPORT_FIELDS.has(field)) {
+      trip[field] = value.split(/[;,]/).map((item) => item.trim());
+    } else if (field === "country" && value.includes(";")) {
+      trip[field] = value.split(";").map((item) => item.trim());
+    } else if (field === "date") {
+      trip[field] = parseImportDate(value, dateOrder);
+    } else if (field === "rating" || field === "cost_per_head") {
+      trip[field] = isNaN(Number(value)) ? value : Number(value);
+    } else {
+      trip[field] = value;
+    }
+  });
+  return trip;
+}
+
+function buildImportRows() {
+  const { records, mapping, dateOrder } = importState;
+  importState.rows = records.map((record) => ({
+    trip: importRecordToTrip(record, mapping, dateOrder),
+  }));
+  evaluateImportRows();
+}
+
+// Classify rows as new, duplicate (same date and restaurant as an existing
+// or earlier row) or unmatched (invalid or unknown country). New rows are
+// ticked unless the user has unticked them
+function evaluateImportRows() {
+  const seen = new Set([...tripsData, ...plannedTrips].map(getDinnerKey));
+
+  importState.rows.forEach((row) => {
+    const { valid, problems } = validateTrips([row.trip]);
+    const [trip] = valid;
+
+    if (SLASH_DATE_PATTERN.test(row.trip.date ?? "")) {
+      row.status = "unmatched";
+      row.reasons = [
+        `Date "${row.trip.date}" could be day or month first; choose the date order above`,
+      ];
+      row.accepted = false;
+    } else if (!trip || trip.countryIds.length === 0 || problems.length > 0) {
+      row.status = "unmatched";
+      row.reasons = problems.map((problem) =>
+        problem.suggestion
+          ? `${problem.reason} (did you mean ${problem.suggestion}?)`
+          : problem.reason,
+      );
+      row.accepted = false;
+    } else if (seen.has(getDinnerKey(trip))) {
+      row.status = "duplicate";
+      row.reasons = ["Already in trips"];
+      row.accepted = row.ticked ?? false;
+    } else {
+      row.status = "new";
+      row.reasons = [];
+      row.accepted = row.ticked ?? true;
+      seen.add(getDinnerKey(trip));
+    }
+  });
+}
+
+function openImportModal(fileName) {
+  document.getElementById("import-file-name").textContent = fileName;
+  renderImportMapping();
+  renderImportPreview();
+  document.getElementById("import-overlay").classList.add("visible");
+  openDialog(document.getElementById("import-modal"));
+}
+
+function closeImportModal() {
+  document.getElementById("import-overlay").classList.remove("visible");
+  closeDialog(document.getElementById("import-modal"));
+}
+
+function renderImportMapping() {
+  const { columns, mapping } = importState;
+  const options = (selected) =>
+    [
+      '<option value="">(none)</option>',
+      ...columns.map(
+        (column) =>
+          `<option value="${escapeHtml(column)}"${column === selected ? " selected" : ""}>${escapeHtml(column)}</option>`,
+      ),
+    ].join("");
+
+  const orders = [
+    ["", "(ask if unclear)"],
+    ["dmy", "day first"],
+    ["mdy", "month first"],
+  ];
+  document.getElementById("import-mapping").innerHTML = [
+    ...Object.keys(IMPORT_COLUMNS).map(
+      (field) => `
+        <label>${field}
+          <select data-field="${field}">${options(mapping[field])}</select>
+        </label>
+      `,
+    ),
+    `
+      <label>date order
+        <select data-date-order>${orders
+          .map(
+            ([value, label]) =>
+              `<option value="${value}"${value === (importState.dateOrder || "") ? " selected" : ""}>${label}</option>`,
+          )
+          .join("")}</select>
+      </label>
+    `,
+  ].join("");
+}
+
+function renderImportPreview() {
+  const { rows } = importState;
+  const counts = d3.rollup(
+    rows,
+    (group) => group.length,
+    (row) => row.status,
+  );
+  const accepted = rows.filter((row) => row.accepted).length;
+
+  document.getElementById("import-summary").textContent =
+    `${counts.get("new") || 0} new · ${counts.get("duplicate") || 0} duplicate · ${counts.get("unmatched") || 0} unmatched`;
+  document.getElementById("import-confirm").textContent =
+    `Add ${accepted} dinner${accepted === 1 ? "" : "s"}`;
+  document.getElementById("import-confirm").disabled = accepted === 0;
+
+  document.getElementById("import-rows").innerHTML = rows
+    .map(
+      (row, index) => `
+        <tr class="import-row ${row.status}">
+          <td><input type="checkbox" data-index="${index}"${row.accepted ? " checked" : ""}${row.status === "unmatched" ? " disabled" : ""} aria-label="Import this row"></td>
+          <td><span class="import-status">${row.status}</span></td>
+          <td>${escapeHtml(normalizeTripDate(row.trip.date) || "")}</td>
+          <td>${escapeHtml(row.trip.restaurant || "")}</td>
+          <td>
+            <input class="import-country" data-index="${index}" value="${escapeHtml([].concat(row.trip.country ?? []).join("; "))}" list="country-options" aria-label="Country">
+            ${row.reasons.length > 0 ? `<div class="import-reasons">${row.reasons.map(escapeHtml).join("<br>")}</div>` : ""}
+          </td>
+        </tr>
+      `,
+    )
+    .join("");
+}
+
+function handleImportMappingChange(event) {
+  const { field, dateOrder } = event.target.dataset;
+  if (dateOrder !== undefined) {
+    importState.dateOrder = event.target.value || null;
+  } else if (field) {
+    importState.mapping[field] = event.target.value || null;
+  } else {
+    return;
+  }
+  buildImportRows();
+  renderImportPreview();
+}
+
+// Row checkboxes and per-row country fixes
+function handleImportRowChange(event) {
+  const row = importState.rows[Number(event.target.dataset.index)];
+  if (!row) return;
+
+  if (event.target.classList.contains("import-country")) {
+    const countries = event.target.value
+      .split(";")
+      .map((item) => item.trim())
+      .filter(Boolean);
+    row.trip.country = countries.length > 1 ? countries : countries[0];
+    evaluateImportRows();
+  } else {
+    row.accepted = row.ticked = event.target.checked;
+  }
+  renderImportPreview();
+}
+
+function confirmImport() {
+  const accepted = importState.rows.filter((row) => row.accepted);
+  tripDrafts.added.push(...accepted.map((row) => row.trip));
+  saveDrafts();
+  refreshTrips();
+  closeImportModal();
+}
+
+// Export modal
+function openExportModal() {
+  const form = document.getElementById("poster-form");
+  if (!form.elements.title.value) form.elements.title.value = document.title;
+  document.getElementById("poster-errors").textContent = "";
+  document.getElementById("export-overlay").classList.add("visible");
+  openDialog(document.getElementById("export-modal"));
+}
+
+function closeExportModal() {
+  document.getElementById("export-overlay").classList.remove("visible");
+  closeDialog(document.getElementById("export-modal"));
+}
+
+function getPosterOptions() {
+  const form = document.getElementById("poster-form");
+  return {
+    title: form.elements.title.value.trim(),
+    showFlags: form.elements.flags.checked,
+    showLegend: form.elements.legend.checked,
+    scale: Number(form.elements.scale.value),
+  };
+}
+
+// Map colours from the stylesheet, for standalone exports
+function getMapColours() {
+  const style = getComputedStyle(document.documentElement);
+  const colour = (name) => style.getPropertyValue(name).trim();
+  return {
+    ocean: colour("--ocean-color"),
+    country: colour("--country-default"),
+    hover: colour("--country-hover"),
+    stroke: colour("--country-stroke"),
+    shadow: colour("--country-shadow"),
+    visited: colour("--visited-color"),
+    planned: colour("--planned-color"),
+    accent: colour("--accent-color"),
+    missing: colour("--missing-color"),
+    compare: colour("--compare-color"),
+    both: colour("--compare-both-color"),
+    text: colour("--text-color"),
+    muted: colour("--text-muted"),
+  };
+}
+
+// Standalone poster SVG of the current map state, framed on the whole
+// world regardless of the current zoom/pan
+function buildPosterSvg({ title, showFlags, showLegend }) {
+  const width = POSTER_WIDTH;
+  const height = POSTER_HEIGHT;
+  const headerHeight = title ? 120 : 0;
+  const footerHeight = showLegend ? 90 : 0;
+  const colours = getMapColours();
+  const fontFamily = getComputedStyle(document.body).fontFamily || "sans-serif";
+  const features = mapState.features;
+  const visited = getMapVisitedCountries();
+  const planned = getPlannedCountries();
+  const shades = getCountryShades();
+
+  const svg = d3
+    .create("svg")
+    .attr("xmlns", "http://www.w3.org/2000/svg")
+    .attr("width", width)
+    .attr("height", height)
+    .attr("viewBox", `0 0 ${width} ${height}`)
+    .attr("font-family", fontFamily);
+
+  createHatchPattern(svg.append("defs"), width);
+  svg
+    .append("rect")
+    .attr("width", width)
+    .attr("height", height)
+    .attr("fill", colours.ocean);
+
+  // Map, fitted between the title and legend
+  const path = createProjection(width, height - headerHeight - footerHeight, {
+    type: "FeatureCollection",
+    features,
+  });
+  const map = svg
+    .append("g")
+    .attr("transform", `translate(0, ${headerHeight})`);
+  // Following the .country rules in style.css, as getCanvasFill() does
+  const fill = (d) => {
+    if (shades?.has(d.id)) return shades.get(d.id);
+    if (visited.has(d.id)) return colours.visited;
+    if (d.id === sidebarState.countryId) return "url(#visited-hatch-active)";
+    if (planned.has(d.id)) return colours.planned;
+    return colours.country;
+  };
+  map
+    .selectAll("path.country")
+    .data(features.filter((d) => !isTinyCountry(d)))
+    .join("path")
+    .attr("class", "country")
+    .attr("d", path)
+    .attr("fill", fill)
+    .attr("stroke", colours.stroke)
+    .attr("stroke-width", 0.5);
+
+  // Tiny countries get a marker, as on the map, unless the poster is big
+  // enough to show their shape
+  const drawMarker = d3.geoPath(path.projection()).pointRadius(MARKER_RADIUS);
+  map
+    .selectAll("path.marker")
+    .data(features.filter(isTinyCountry))
+    .join("path")
+    .attr("class", "marker")
+    .attr("d", (d) =>
+      showsMarkerShape(path, d, 1) ? path(d) : drawMarker(getMarkerPoint(d)),
+    )
+    .attr("fill", fill)
+    .attr("stroke", colours.stroke)
+    .attr("stroke-width", 1);
+
+  if (showFlags) {
+    map
+      .selectAll("text")
+      .data(features.filter((f) => visited.has(f.id) && getFlag(f.id)))
+      .join("text")
+      .attr("x", (d) => path.centroid(d)[0])
+      .attr("y", (d) => path.centroid(d)[1])
+      .attr("text-anchor", "middle")
+      .attr("dominant-baseline", "central")
+      .attr("font-size", 20)
+      .text((d) => getFlag(d.id));
+  }
+
+  if (title) {
+    svg
+      .append("text")
+      .attr("x", width / 2)
+      .attr("y", 78)
+      .attr("text-anchor", "middle")
+      .attr("font-size", 52)
+      .attr("font-weight", 700)
+      .attr("fill", colours.text)
+      .text(title);
+  }
+
+  if (showLegend) {
+    const { visitedCount, totalCountries, percentage } =
+      getVisitedSummary(visited);
+    const legend = svg
+      .append("g")
+      .attr("transform", `translate(40, ${height - footerHeight / 2})`);
+    legend
+      .append("rect")
+      .attr("y", -14)
+      .attr("width", 28)
+      .attr("height", 28)
+      .attr("rx", 6)
+      .attr("fill", colours.visited)
+      .attr("stroke", colours.stroke);
+    legend
+      .append("text")
+      .attr("x", 44)
+      .attr("dominant-baseline", "central")
+      .attr("font-size", 28)
+      .attr("fill", colours.text)
+      .text(`${visitedCount}/${totalCountries} countries visited`);
+    legend
+      .append("text")
+      .attr("x", width - 40)
+      .attr("text-anchor", "end")
+      .attr("dominant-baseline", "central")
+      .attr("font-size", 28)
+      .attr("fill", colours.muted)
+      .text(`${percentage}%`);
+  }
+
+  return svg.node();
+}
+
+function serializeSvg(node) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(node)}`;
+}
+
+function downloadPosterSvg() {
+  const svg = buildPosterSvg(getPosterOptions());
+  downloadBlob(
+    new Blob([serializeSvg(svg)], { type: "image/svg+xml" }),
+    "dinner-club-map.svg",
+  );
+}
+
+// Rasterise the poster SVG through an <img> and a canvas. The largest size
+// stays under the 16.7 megapixel canvas limit of iOS; browsers with less
+// memory to spare give no blob, which is reported in the dialog
+async function downloadPosterPng() {
+  const errors = document.getElementById("poster-errors");
+  errors.textContent = "";
+  const options = getPosterOptions();
+  const svg = buildPosterSvg(options);
+  const url = URL.createObjectURL(
+    new Blob([serializeSvg(svg)], { type: "image/svg+xml" }),
+  );
+
+  try {
+    const image = new Image();
+    await new Promise((resolve, reject) => {
+      image.onload = resolve;
+      image.onerror = () => reject(new Error("Failed to render poster"));
+      image.src = url;
+    });
+
+    const canvas = document.createElement("canvas");
+    canvas.width = POSTER_WIDTH * options.scale;
+    canvas.height = POSTER_HEIGHT * options.scale;
+    canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve));
+    if (!blob) throw new Error("Canvas too large for this browser");
+    downloadBlob(blob, "dinner-club-map.png");
+  } catch (error) {
+    console.error("Error exporting PNG:", error);
+    errors.textContent =
+      options.scale > 1
+        ? "This browser couldn't make a PNG this large. Try a smaller size."
+        : "This browser couldn't make the PNG. Try Download SVG instead.";
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Search palette
+// Countries and restaurants match fuzzily (letters in order), notes only as
+// a substring so long notes don't match everything
+let searchResults = [];
+let searchIndex = 0;
+
+function openSearch() {
+  const overlay = document.getElementById("search-overlay");
+  const input = document.getElementById("search-input");
+  overlay.classList.add("visible");
+  input.value = "";
+  renderSearchResults();
+  openDialog(document.getElementById("search-modal"), input);
+}
+
+function closeSearch() {
+  document.getElementById("search-overlay").classList.remove("visible");
+  closeDialog(document.getElementById("search-modal"));
+}
+
+// Fold case and accents one character at a time, so indices still line up
+function foldSearchText(text) {
+  return text
+    .split("")
+    .map((c) => c.normalize("NFD")[0].toLowerCase())
+    .join("");
+}
+
+// Score how well `query` matches `text`; null if it doesn't.
+// Returns the matched character indices for highlighting
+function fuzzyMatch(query, text, substringOnly = false) {
+  const q = foldSearchText(query);
+  const t = foldSearchText(text);
+  const range = (start, length) => Array.from({ length }, (_, i) => start + i);
+
+  const isWordStart = (i) => i === 0 || /[^a-z0-9]/.test(t[i - 1]);
+
+  const start = t.indexOf(q);
+  if (start !== -1) {
+    const wordStart = isWordStart(start);
+    return {
+      score: 100 + (wordStart ? 50 : 0) + (q === t ? 100 : 0) - start / 100,
+      indices: range(start, q.length),
+    };
+  }
+  if (substringOnly) return null;
+
+  // Letters in order, penalising the gaps between them
+  const indices = [];
+  let from = 0;
+  for (const c of q) {
+    const i = t.indexOf(c, from);
+    if (i === -1) return null;
+    indices.push(i);
+    from = i + 1;
+  }
+  // Initials ("nz" for New Zealand) rank like a word match
+  if (indices.every(isWordStart)) {
+    return { score: 140 - indices[0] / 100, indices };
+  }
+  const gaps = indices[indices.length - 1] - indices[0] + 1 - q.length;
+  const score = 50 - gaps * 5 - indices[0] / 100;
+  return score > 0 ? { score, indices } : null;
+}
+
+// Wrap matched characters in <mark>, escaping the rest
+function highlightMatch(text, indices) {
+  const matched = new Set(indices);
+  return text
+    .split("")
+    .map((c, i) =>
+      matched.has(i) ? `<mark>${escapeHtml(c)}</mark>` : escapeHtml(c),
+    )
+    .join("")
+    .replace(/<\/mark><mark>/g, "");
+}
+
+// Short excerpt of a long note around the match
+function excerptMatch(text, indices, context = 30) {
+  const start = Math.max(0, indices[0] - context);
+  const end = Math.min(text.length, indices[indices.length - 1] + context);
+  const shifted = indices.map((i) => i - start);
+  return (
+    (start > 0 ? "…" : "") +
+    highlightMatch(text.slice(start, end), shifted) +
+    (end < text.length ? "…" : "")
+  );
+}
+
+function getSearchResults(query) {
+  const q = query.trim();
+  if (!q) return [];
+  const results = [];
+
+  // Countries by map name or alias ("uk", "burma")
+  const aliasesById = {};
+  Object.entries(countryAliases).forEach(([alias, countryId]) => {
+    aliasesById[countryId] = [...(aliasesById[countryId] || []), alias];
+  });
+  Object.entries(countryIdToName).forEach(([countryId, name]) => {
+    const nameMatch = fuzzyMatch(q, name);
+    const aliasMatch = (aliasesById[countryId] || [])
+      .map((alias) => ({ alias, match: fuzzyMatch(q, alias) }))
+      .filter(
+        ({ match }) => match && match.score >= (nameMatch?.score ?? 0) + 10,
+      )
+      .sort((a, b) => b.match.score - a.match.score)[0];
+    if (!nameMatch && !aliasMatch) return;
+    const visits = getTripsForCountry(countryId).length;
+    const meta = [
+      visits > 0 ? formatVisitCount(visits) : "Not visited yet",
+      aliasMatch
+        ? `“${highlightMatch(aliasMatch.alias, aliasMatch.match.indices)}”`
+        : "",
+    ];
+    results.push({
+      countryId,
+      tripDate: null,
+      score: (aliasMatch?.match ?? nameMatch).score + 1, // Countries first on a tie
+      html: `
+        <span class="search-result-title">${getFlag(countryId)} ${aliasMatch ? escapeHtml(name) : highlightMatch(name, nameMatch.indices)}</span>
+        <span class="search-result-meta">${meta.filter(Boolean).join(" · ")}</span>
+      `,
+    });
+  });
+
+  [...tripsData, ...plannedTrips].forEach((trip) => {
+    const restaurant = fuzzyMatch(q, String(trip.restaurant));
+    const notes = trip.notes ? fuzzyMatch(q, String(trip.notes), true) : null;
+    if (!restaurant && !notes) return;
+    const countryId = trip.countryIds[0];
+    if (!countryId) return;
+    const place = trip.cuisine || countryIdToName[countryId];
+    results.push({
+      countryId,
+      tripDate: trip.date,
+      score: Math.max(restaurant?.score ?? 0, (notes?.score ?? 0) / 2),
+      html: `
+        <span class="search-result-title">${restaurant ? highlightMatch(trip.restaurant, restaurant.indices) : escapeHtml(trip.restaurant)}</span>
+        <span class="search-result-meta">${getFlag(countryId)} ${escapeHtml(place)} · ${formatDate(trip.date)}${trip.planned ? " · planned" : ""}</span>
+        ${notes ? `<span class="search-result-notes">${excerptMatch(String(trip.notes), notes.indices)}</span>` : ""}
+      `,
+    });
+  });
+
+  return results.sort((a, b) => b.score - a.score).slice(0, 10);
+}
+
+function renderSearchResults() {
+  const input = document.getElementById("search-input");
+  const list = document.getElementById("search-results");
+  searchResults = getSearchResults(input.value);
+  searchIndex = 0;
+
+  if (searchResults.length === 0) {
+    list.innerHTML = input.value.trim()
+      ? '<li class="search-empty">No matches</li>'
+      : "";
+  } else {
+    list.innerHTML = searchResults
+      .map(
+        (result, i) =>
+          `<li class="search-result" id="search-result-${i}" role="option" data-index="${i}">${result.html}</li>`,
+      )
+      .join("");
+  }
+  updateSearchSelection();
+}
+
+function updateSearchSelection() {
+  const input = document.getElementById("search-input");
+  document.querySelectorAll(".search-result").forEach((item, i) => {
+    const selected = i === searchIndex;
+    item.classList.toggle("selected", selected);
+    item.setAttribute("aria-selected", selected);
+    if (selected) item.scrollIntoView({ block: "nearest" });
+  });
+  if (searchResults.length > 0) {
+    input.setAttribute("aria-activedescendant", `search-result-${searchIndex}`);
+  } else {
+    input.removeAttribute("aria-activedescendant");
+  }
+}
+
+function handleSearchKeydown(event) {
+  if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+    event.preventDefault();
+    if (searchResults.length === 0) return;
+    const step = event.key === "ArrowDown" ? 1 : -1;
+    searchIndex =
+      (searchIndex + step + searchResults.length) % searchResults.length;
+    updateSearchSelection();
+  } else if (event.key === "Enter") {
+    event.preventDefault();
+    selectSearchResult(searchIndex);
+  }
+}
+
+function selectSearchResult(index) {
+  const result = searchResults[index];
+  if (!result) return;
+  closeSearch();
+  flyToCountry(result.countryId, result.tripDate);
+}
+
+// "/" or Ctrl/Cmd+K, unless typing somewhere else
+function isSearchShortcut(event) {
+  if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === "k") {
+    return true;
+  }
+  const typing = event.target.closest?.(
+    "input, textarea, select, [contenteditable]",
+  );
+  return event.key === "/" && !typing && !event.ctrlKey && !event.metaKey;
+}
+
+// URL hash routing
+// Views: #/, #/country/ITA, #/country/ITA/2022-10-14, #/stats, #/calendar
+// The zoom transform rides along as ?t=x,y,k and is updated without
+// adding history entries; opening/closing views pushes one
+let routerReady = false;
+let routeSyncPending = false;
+
+function parseRoute(hash) {
+  const [pathPart, query = ""] = hash.replace(/^#/, "").split("?");
+  const [view = "", countryId = null, tripDate = null] = pathPart
+    .split("/")
+    .filter(Boolean);
+  const params = new URLSearchParams(query);
+  const t = (params.get("t") || "").split(",").map(Number);
+  const transform =
+    t.length === 3 && t.every(Number.isFinite) && t[2] > 0
+      ? { x: t[0], y: t[1], k: t[2] }
+      : null;
+
+  return { view, countryId, tripDate, transform };
+}
+
+// Route path for the currently open panel
+function getCurrentRoutePath() {
+  if (document.getElementById("stats-overlay").classList.contains("visible")) {
+    return "/stats";
+  }
+  if (
+    document.getElementById("calendar-overlay").classList.contains("visible")
+  ) {
+    return "/calendar";
+  }
+  const { countryId, tripDate } = sidebarState;
+  if (countryId) {
+    return `/country/${countryId}${tripDate ? `/${tripDate}` : ""}`;
+  }
+  return "/";
+}
+
+function getTransformQuery() {
+  const { svg } = mapState;
+  if (!svg) return "";
+  const { x, y, k } = d3.zoomTransform(svg.node());
+  return `?t=${Math.round(x)},${Math.round(y)},${Math.round(k * 1000) / 1000}`;
+}
+
+// Coalesce open/close calls made in one go (e.g. stats -> country)
+function scheduleRouteSync() {
+  if (!routerReady || routeSyncPending) return;
+  routeSyncPending = true;
+  Promise.resolve().then(() => {
+    routeSyncPending = false;
+    const path = getCurrentRoutePath();
+    if (path !== parseRoutePath(location.hash)) {
+      history.pushState(null, "", `#${path}${getTransformQuery()}`);
+    }
+  });
+}
+
+function parseRoutePath(hash) {
+  return hash.replace(/^#/, "").split("?")[0] || "/";
+}
+
+// Keep the zoom transform in the URL without adding history entries
+function updateRouteTransform() {
+  if (!routerReady) return;
+  const path = parseRoutePath(location.hash);
+  history.replaceState(null, "", `#${path}${getTransformQuery()}`);
+}
+
+// Open/close panels to match a route
+function applyRoute(route, animate) {
+  const { svg, zoom } = mapState;
+
+  if (route.view !== "stats") closeStatsModal();
+  if (route.view !== "calendar") closeCalendarModal();
+
+  const countryId =
+    route.view === "country" && countryIdToName[route.countryId]
+      ? route.countryId
+      : null;
+  if (countryId) {
+    openCountryFromCalendar(countryId, route.tripDate);
+  } else {
+    closeSidebar();
+  }
+
+  if (route.view === "stats") openStatsModal();
+  if (route.view === "calendar") openCalendarModal();
+
+  // Restore the zoom, or frame the country if the link has none
+  if (svg && route.transform) {
+    const { x, y, k } = route.transform;
+    const target = d3.zoomIdentity.translate(x, y).scale(k);
+    (animate ? svg.transition().duration(ZOOM_DURATION) : svg).call(
+      zoom.transform,
+      target,
+    );
+  } else if (countryId) {
+    zoomToCountry(mapState.features.find((f) => f.id === countryId));
+  }
+}
+
+function setupRouter() {
+  if (location.hash) applyRoute(parseRoute(location.hash), false);
+  routerReady = true;
+
+  window.addEventListener("popstate", () => {
+    applyRoute(parseRoute(location.hash), true);
+  });
 }
 
 // Initialize when DOM is ready
@@ -0,0 +1,161 @@
+// Hostile trip notes through renderNotes() and sanitizeNoteHtml(): nothing
+// that can run script or open a page with access to ours may come out.
+// Open test/notes.html from the local server; the title reads PASS or FAIL
+const results = [];
+
+function test(name, fn) {
+  try {
+    fn();
+    results.push({ name, ok: true });
+  } catch (error) {
+    results.push({ name, ok: false, message: error.message });
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function parseHtml(html) {
+  const template = document.createElement("template");
+  template.innerHTML = html;
+  return template.content;
+}
+
+// Only NOTE_TAGS, no attributes but a link's, and links only to web pages
+// in a new tab with rel="noopener"
+function assertInert(html) {
+  parseHtml(html)
+    .querySelectorAll("*")
+    .forEach((element) => {
+      const tag = element.tagName;
+      assert(NOTE_TAGS.has(tag), `<${tag.toLowerCase()}> in ${html}`);
+      const allowed = tag === "A" ? ["href", "target", "rel"] : [];
+      [...element.attributes].forEach(({ name }) => {
+        assert(allowed.includes(name), `${name} attribute in ${html}`);
+      });
+      if (tag !== "A") return;
+      assert(isValidUrl(element.getAttribute("href")), `href in ${html}`);
+      assert(element.getAttribute("target") === "_blank", `target in ${html}`);
+      assert(element.getAttribute("rel") === "noopener", `rel in ${html}`);
+    });
+}
+
+function links(html) {
+  return [...parseHtml(html).querySelectorAll("a")];
+}
+
+test("raw HTML is shown as text", () => {
+  const html = renderNotes("<img src=x onerror=alert(1)>");
+  assertInert(html);
+  assert(parseHtml(html).textContent === "<img src=x onerror=alert(1)>", html);
+});
+
+test("script, svg and iframe tags are shown as text", () => {
+  [
+    "<script>alert(1)</script>",
+    "<svg onload=alert(1)>",
+    "<iframe src=javascript:alert(1)></iframe>",
+  ].forEach((notes) => assertInert(renderNotes(notes)));
+});
+
+test("javascript: links aren't linked", () => {
+  [
+    "[x](javascript:alert(1))",
+    "[x](JaVaScRiPt:alert(1))",
+    "[x](%20javascript:alert(1))",
+    "[x](data:text/html,<script>alert(1)</script>)",
+  ].forEach((notes) => {
+    const html = renderNotes(notes);
+    assertInert(html);
+    assert(links(html).length === 0, html);
+  });
+});
+
+test("entity-encoded schemes aren't linked", () => {
+  [
+    "[x](&#106;avascript:alert(1))",
+    "[x](&#x6A;avascript:alert(1))",
+    "[x](javascript&colon;alert(1))",
+    "[x](java&#09;script:alert(1))",
+  ].forEach((notes) => {
+    const html = renderNotes(notes);
+    assertInert(html);
+    assert(links(html).length === 0, html);
+  });
+});
+
+test("quotes can't break out of a link's href", () => {
+  const html = renderNotes(
+    `[x](https://example.com/"onmouseover="alert(1)") and [y](https://example.com/'onclick='alert(1)')`,
+  );
+  assertInert(html);
+  const hrefs = links(html).map((link) => link.getAttribute("href"));
+  assert(hrefs[0] === 'https://example.com/"onmouseover="alert(1', html);
+  assert(hrefs[1] === "https://example.com/'onclick='alert(1", html);
+});
+
+test("emphasis around raw HTML keeps the HTML as text", () => {
+  [
+    "**<script>alert(1)</script>**",
+    "*<img src=x onerror=alert(1)>*",
+    '_<a href="javascript:alert(1)">x</a>_',
+    "***<b onclick=alert(1)>x</b>***",
+    "[**<img src=x onerror=alert(1)>**](https://example.com)",
+  ].forEach((notes) => {
+    const html = renderNotes(notes);
+    assertInert(html);
+    assert(/<(strong|em)>/.test(html), html);
+  });
+});
+
+test("code spans show their content as text", () => {
+  const html = renderNotes("`<img src=x onerror=alert(1)>`");
+  assertInert(html);
+  assert(parseHtml(html).querySelector("code").childElementCount === 0, html);
+});
+
+test("Markdown links open safely", () => {
+  const html = renderNotes("[menu](https://example.com/menu)");
+  assertInert(html);
+  assert(links(html).length === 1, html);
+});
+
+test("links given to the sanitizer get rel=noopener", () => {
+  [
+    '<a href="https://example.com">x</a>',
+    '<a href="https://example.com" target="_self" rel="opener">x</a>',
+    '<a href="https://example.com" onclick="alert(1)">x</a>',
+    '<a href="https://example.com/&quot;onclick=&quot;alert(1)">x</a>',
+  ].forEach((html) => {
+    const clean = sanitizeNoteHtml(html);
+    assertInert(clean);
+    assert(links(clean).length === 1, clean);
+  });
+});
+
+test("the sanitizer drops other tags and unsafe links", () => {
+  [
+    "<img src=x onerror=alert(1)>",
+    '<a href="javascript:alert(1)">x</a>',
+    '<a href="JaVaScRiPt:alert(1)">x</a>',
+    '<a href="&#106;avascript:alert(1)">x</a>',
+    '<p style="background:url(javascript:alert(1))">x</p>',
+    "<strong><svg><script>alert(1)</script></svg></strong>",
+  ].forEach((html) => {
+    const clean = sanitizeNoteHtml(html);
+    assertInert(clean);
+    assert(links(clean).length === 0, clean);
+  });
+});
+
+const failed = results.filter((result) => !result.ok);
+document.title = `${failed.length > 0 ? "FAIL" : "PASS"}: trip notes`;
+document.getElementById("test-summary").textContent =
+  `${results.length - failed.length}/${results.length} passed`;
+document.getElementById("test-results").innerHTML = results
+  .map(
+    ({ name, ok, message }) =>
+      `<li>${ok ? "✓" : "✗"} ${escapeHtml(name)}${ok ? "" : `: ${escapeHtml(message)}`}</li>`,
+  )
+  .join("");